@@ -140,6 +140,166 @@
         el.scrollIntoView({ block: 'end', behavior: 'smooth' });
       } catch (e) { /* ignore */ }
       scrollBodyToBottom();
+      return el;
+    }
+
+    // Read a text/event-stream response body, calling onEvent(name, data) for each event
+    async function readEvents(resp, onEvent) {
+      const reader = resp.body.getReader();
+      const decoder = new TextDecoder();
+      let buf = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buf += decoder.decode(value, { stream: true });
+        let idx;
+        while ((idx = buf.indexOf('\n\n')) >= 0) {
+          const raw = buf.slice(0, idx);
+          buf = buf.slice(idx + 2);
+          let name = 'message';
+          let data = '';
+          raw.split('\n').forEach(line => {
+            if (line.startsWith('event:')) name = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+          });
+          if (data) { try { onEvent(name, JSON.parse(data)); } catch (e) { /* ignore malformed event */ } }
+        }
+      }
+    }
+
+    // clickable source chips under an answer (same-tab links keep the conversation going)
+    function appendSources(sources) {
+      const list = (sources || []).filter(s => s && /^https?:\/\//i.test(s.url));
+      if (!list.length) return;
+      const wrap = document.createElement('div');
+      wrap.className = 'saia-sources';
+      list.forEach(s => {
+        const chip = document.createElement('a');
+        chip.className = 'saia-source';
+        chip.href = s.url;
+        chip.title = s.snippet || s.url;
+        chip.textContent = '[' + s.n + '] ' + (s.title || s.url);
+        wrap.appendChild(chip);
+      });
+      body.appendChild(wrap);
+      scrollBodyToBottom();
+    }
+
+    function formatPrice(amount, currency) {
+      if (amount === null || amount === undefined || amount === '') return '';
+      try {
+        if (currency) return new Intl.NumberFormat(document.documentElement.lang || undefined, { style: 'currency', currency }).format(Number(amount));
+      } catch (e) { /* unknown currency code */ }
+      return String(amount) + (currency ? ' ' + currency : '');
+    }
+
+    // storefront Ajax cart (same origin as the page, honouring the locale root)
+    function cartUrl(path) {
+      const root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+      return root.replace(/\/?$/, '/') + path;
+    }
+
+    // update the theme's cart count bubble(s) and let the theme know the cart changed
+    async function refreshCartCount() {
+      try {
+        const r = await fetch(cartUrl('cart.js'), { headers: { Accept: 'application/json' } });
+        if (!r.ok) return;
+        const cart = await r.json();
+        document.querySelectorAll('[data-cart-count], .cart-count, .cart-count-bubble span[aria-hidden="true"], #CartCount, .js-cart-count')
+          .forEach(el => { el.textContent = String(cart.item_count); });
+        document.dispatchEvent(new CustomEvent('saia:cart-updated', { detail: cart }));
+      } catch (e) { /* ignore */ }
+    }
+
+    function buildProductCard(p) {
+      const card = document.createElement('div');
+      card.className = 'saia-product';
+      if (p.image && /^https?:\/\//i.test(p.image)) {
+        const img = document.createElement('img');
+        img.className = 'saia-product-img';
+        img.src = p.image;
+        img.alt = p.title || '';
+        img.loading = 'lazy';
+        card.appendChild(img);
+      }
+      const info = document.createElement('div');
+      info.className = 'saia-product-info';
+      const title = document.createElement('a');
+      title.className = 'saia-product-title';
+      title.href = /^https?:\/\//i.test(p.url) ? p.url : '/products/' + encodeURIComponent(p.handle);
+      title.textContent = p.title || p.handle;
+      const price = document.createElement('div');
+      price.className = 'saia-product-price';
+      price.textContent = formatPrice(p.price, p.currency);
+      info.appendChild(title);
+      info.appendChild(price);
+
+      const variants = (p.variants || []).filter(v => v && v.id);
+      const row = document.createElement('div');
+      row.className = 'saia-product-actions';
+      let picker = null;
+      if (variants.length > 1 || (variants[0] && variants[0].title !== 'Default Title')) {
+        picker = document.createElement('select');
+        picker.className = 'saia-variant';
+        picker.setAttribute('aria-label', 'Choose option');
+        variants.forEach(v => {
+          const opt = document.createElement('option');
+          opt.value = String(v.id);
+          opt.textContent = v.title + (v.available ? '' : ' (sold out)');
+          opt.disabled = !v.available;
+          picker.appendChild(opt);
+        });
+        const firstAvailable = variants.find(v => v.available);
+        if (firstAvailable) picker.value = String(firstAvailable.id);
+        picker.addEventListener('change', () => {
+          const v = variants.find(x => String(x.id) === picker.value);
+          if (v) price.textContent = formatPrice(v.price, p.currency);
+        });
+        row.appendChild(picker);
+      }
+      const addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'saia-add-to-cart';
+      addBtn.innerText = p.available ? 'Add to cart' : 'Sold out';
+      addBtn.disabled = !p.available || !variants.length;
+      addBtn.addEventListener('click', async () => {
+        const id = picker ? Number(picker.value) : (variants.find(v => v.available) || variants[0]).id;
+        addBtn.disabled = true;
+        addBtn.innerText = 'Adding…';
+        try {
+          const r = await fetch(cartUrl('cart/add.js'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify({ items: [{ id, quantity: 1 }] })
+          });
+          if (!r.ok) {
+            const j = await r.json().catch(() => ({}));
+            throw new Error(j.description || j.message || ('HTTP ' + r.status));
+          }
+          addBtn.innerText = 'Added ✓';
+          await refreshCartCount();
+        } catch (err) {
+          addBtn.innerText = 'Add to cart';
+          appendMessage('Could not add to cart: ' + (err.message || err), 'error');
+        } finally {
+          addBtn.disabled = false;
+        }
+      });
+      row.appendChild(addBtn);
+      info.appendChild(row);
+      card.appendChild(info);
+      return card;
+    }
+
+    // product cards (image, price, variant picker, add to cart) for products the answer mentions
+    function appendProducts(products) {
+      const list = (products || []).filter(p => p && (p.handle || p.url));
+      if (!list.length) return;
+      const wrap = document.createElement('div');
+      wrap.className = 'saia-products';
+      list.forEach(p => wrap.appendChild(buildProductCard(p)));
+      body.appendChild(wrap);
+      scrollBodyToBottom();
     }
 
     async function doScrapeIfNeeded() {
@@ -176,6 +336,29 @@
 
     await loadWidgetConfig();
 
+    // conversation id survives navigation within the store (same tab)
+    const CONVO_KEY = 'saia-conversation-id';
+    function getConversationId() {
+      try { return sessionStorage.getItem(CONVO_KEY); } catch (e) { return null; }
+    }
+    function setConversationId(id) {
+      try { if (id) sessionStorage.setItem(CONVO_KEY, id); else sessionStorage.removeItem(CONVO_KEY); } catch (e) { /* storage disabled */ }
+    }
+
+    // redraw earlier turns of this tab's conversation after a page navigation
+    async function restoreConversation() {
+      const id = getConversationId();
+      if (!id) return;
+      try {
+        const r = await fetchWithFallback('/api/conversations/' + encodeURIComponent(id), { method: 'GET' });
+        if (!r.ok) { setConversationId(null); return; }
+        const j = await r.json();
+        (j.turns || []).forEach(t => appendMessage(t.content, t.role === 'user' ? 'user' : 'assistant'));
+      } catch (e) { /* ignore */ }
+    }
+
+    await restoreConversation();
+
     async function doAsk() {
       const q = input.value && input.value.trim();
       if (!q || isSending) return;
@@ -198,19 +381,47 @@
         console.log('url', location.href);
         const resp = await fetchWithFallback('/api/ask', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ question: q, url: location.href, useStored: widgetCfg.useStored === true })
+          headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+          body: JSON.stringify({ question: q, url: location.href, useStored: widgetCfg.useStored === true, stream: true, conversationId: getConversationId() })
         });
         if (!resp.ok) {
           const t = await resp.text();
           // remove typing indicator then show error
           if (typingEl && typingEl.parentNode) typingEl.parentNode.removeChild(typingEl);
           appendMessage('Error: ' + resp.status + ' ' + t, 'error');
+        } else if ((resp.headers.get('Content-Type') || '').includes('text/event-stream') && resp.body) {
+          // streamed answer: replace the typing indicator with the first token, then append
+          let answerEl = null;
+          let streamError = null;
+          let sources = [];
+          let products = [];
+          await readEvents(resp, (name, data) => {
+            if (name === 'token' && data.delta) {
+              if (!answerEl) {
+                if (typingEl && typingEl.parentNode) typingEl.parentNode.removeChild(typingEl);
+                answerEl = appendMessage('', 'assistant');
+              }
+              answerEl.textContent += data.delta;
+              scrollBodyToBottom();
+            } else if (name === 'done') {
+              if (data.conversationId) setConversationId(data.conversationId);
+              sources = data.sources || [];
+              products = data.products || [];
+            } else if (name === 'error') {
+              streamError = data.error || 'Unknown error';
+            }
+          });
+          if (typingEl && typingEl.parentNode) typingEl.parentNode.removeChild(typingEl);
+          if (streamError) appendMessage('Error: ' + streamError, 'error');
+          else if (!answerEl) appendMessage('No answer returned', 'error');
+          else { appendSources(sources); appendProducts(products); }
+          try { input.focus(); } catch (e) {}
         } else {
           const j = await resp.json();
           // remove typing indicator and append the assistant answer
           if (typingEl && typingEl.parentNode) typingEl.parentNode.removeChild(typingEl);
-          if (j.answer) appendMessage(j.answer, 'assistant');
+          if (j.conversationId) setConversationId(j.conversationId);
+          if (j.answer) { appendMessage(j.answer, 'assistant'); appendSources(j.sources); appendProducts(j.products); }
           else if (j.error) appendMessage('Error: ' + j.error, 'error');
           else appendMessage('No answer returned', 'error');
           // restore focus to input so controls remain visible
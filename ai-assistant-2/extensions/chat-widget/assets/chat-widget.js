@@ -1,8 +1,13 @@
 /*
   Chat widget (single-file) - integrates with backend endpoints:
   - GET  /api/widget-config  -> { useStored, apiBase }
+  - GET  /api/conversations/:id -> { conversationId, turns } (redraws history after navigation)
   - POST /api/scrape         -> { data }
-  - POST /api/ask            -> { answer }
+  - POST /api/ask            -> { answer, conversationId }, or with stream:true an event stream of
+                                 `token` { delta } events and a final `done` { answer, model, usage, sources, products, conversationId }
+                                 (sources: [{ n, url, title, snippet }] rendered as chips under the answer;
+                                  products: [{ handle, title, url, image, price, currency, available, variants }] as cards)
+  - POST /cart/add.js        -> storefront Ajax cart (same origin), used by the cards' "Add to cart" button
 
   The widget ensures the X-Shop-Domain header is sent with each request so the backend
   can map to stored shop data. The widget will prefer a configured backend (window.SAIA.backend)
@@ -106,6 +111,150 @@
       return el;
     }
 
+    // Read a text/event-stream response body, calling onEvent(name, data) for each event
+    async function readEvents(resp, onEvent) {
+      const reader = resp.body.getReader();
+      const decoder = new TextDecoder();
+      let buf = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buf += decoder.decode(value, { stream: true });
+        let idx;
+        while ((idx = buf.indexOf('\n\n')) >= 0) {
+          const raw = buf.slice(0, idx);
+          buf = buf.slice(idx + 2);
+          let name = 'message';
+          let data = '';
+          raw.split('\n').forEach(line => {
+            if (line.startsWith('event:')) name = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+          });
+          if (data) { try { onEvent(name, JSON.parse(data)); } catch (e) { /* ignore malformed event */ } }
+        }
+      }
+    }
+
+    // conversation id survives navigation within the store (same tab)
+    const CONVO_KEY = 'saia-conversation-id';
+    function getConversationId() {
+      try { return sessionStorage.getItem(CONVO_KEY); } catch (e) { return null; }
+    }
+    function setConversationId(id) {
+      try { if (id) sessionStorage.setItem(CONVO_KEY, id); else sessionStorage.removeItem(CONVO_KEY); } catch (e) { /* storage disabled */ }
+    }
+
+    // clickable source chips under an answer; links open in the same tab so the conversation continues
+    function addSources(sources) {
+      const list = (sources || []).filter(s => s && /^https?:\/\//i.test(s.url));
+      if (!list.length) return;
+      const wrap = make('div', { className: 'saia-sources' });
+      list.forEach(s => {
+        const chip = make('a', { className: 'saia-source', attrs: { href: s.url, title: s.snippet || s.url } });
+        chip.textContent = '[' + s.n + '] ' + (s.title || s.url);
+        wrap.appendChild(chip);
+      });
+      body.appendChild(wrap);
+      scrollToBottom(body);
+    }
+
+    function formatPrice(amount, currency) {
+      if (amount === null || amount === undefined || amount === '') return '';
+      try {
+        if (currency) return new Intl.NumberFormat(document.documentElement.lang || undefined, { style: 'currency', currency }).format(Number(amount));
+      } catch (e) { /* unknown currency code */ }
+      return String(amount) + (currency ? ' ' + currency : '');
+    }
+
+    // Ajax cart lives on the storefront itself, not the backend; respect the theme's locale root
+    function cartUrl(path) {
+      const root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+      return root.replace(/\/?$/, '/') + path;
+    }
+
+    // Refresh the theme's cart count; themes differ, so update the common hooks and announce the change
+    async function refreshCartCount() {
+      try {
+        const r = await fetch(cartUrl('cart.js'), { headers: { Accept: 'application/json' } });
+        if (!r.ok) return;
+        const cart = await r.json();
+        document.querySelectorAll('[data-cart-count], .cart-count, .cart-count-bubble span[aria-hidden="true"], #CartCount, .js-cart-count')
+          .forEach(el => { el.textContent = String(cart.item_count); });
+        document.dispatchEvent(new CustomEvent('saia:cart-updated', { detail: cart }));
+      } catch (e) { console.debug('cart refresh failed', e.message || e); }
+    }
+
+    function productCard(p) {
+      const card = make('div', { className: 'saia-product' });
+      if (p.image && /^https?:\/\//i.test(p.image)) {
+        card.appendChild(make('img', { className: 'saia-product-img', attrs: { src: p.image, alt: p.title || '', loading: 'lazy' } }));
+      }
+      const info = make('div', { className: 'saia-product-info' });
+      const title = make('a', { className: 'saia-product-title', attrs: { href: /^https?:\/\//i.test(p.url) ? p.url : '/products/' + encodeURIComponent(p.handle) } });
+      title.textContent = p.title || p.handle;
+      const price = make('div', { className: 'saia-product-price' });
+      price.textContent = formatPrice(p.price, p.currency);
+      info.appendChild(title); info.appendChild(price);
+
+      const variants = (p.variants || []).filter(v => v && v.id);
+      const row = make('div', { className: 'saia-product-actions' });
+      let picker = null;
+      if (variants.length > 1 || (variants[0] && variants[0].title !== 'Default Title')) {
+        picker = make('select', { className: 'saia-variant', attrs: { 'aria-label': 'Choose option' } });
+        variants.forEach(v => {
+          const opt = make('option', { attrs: { value: String(v.id) } });
+          opt.textContent = v.title + (v.available ? '' : ' (sold out)');
+          if (!v.available) opt.disabled = true;
+          picker.appendChild(opt);
+        });
+        const firstAvailable = variants.find(v => v.available);
+        if (firstAvailable) picker.value = String(firstAvailable.id);
+        picker.addEventListener('change', () => {
+          const v = variants.find(x => String(x.id) === picker.value);
+          if (v) price.textContent = formatPrice(v.price, p.currency);
+        });
+        row.appendChild(picker);
+      }
+      const addBtn = make('button', { className: 'saia-add-to-cart', attrs: { type: 'button' }, text: p.available ? 'Add to cart' : 'Sold out' });
+      addBtn.disabled = !p.available || !variants.length;
+      addBtn.addEventListener('click', async () => {
+        const id = picker ? Number(picker.value) : (variants.find(v => v.available) || variants[0]).id;
+        addBtn.disabled = true; addBtn.innerText = 'Adding…';
+        try {
+          const r = await fetch(cartUrl('cart/add.js'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify({ items: [{ id, quantity: 1 }] })
+          });
+          if (!r.ok) {
+            const j = await r.json().catch(() => ({}));
+            throw new Error(j.description || j.message || ('HTTP ' + r.status));
+          }
+          addBtn.innerText = 'Added ✓';
+          await refreshCartCount();
+        } catch (e) {
+          addBtn.innerText = 'Add to cart';
+          addMsg('Could not add to cart: ' + (e.message || e), 'error');
+        } finally {
+          addBtn.disabled = false;
+        }
+      });
+      row.appendChild(addBtn);
+      info.appendChild(row);
+      card.appendChild(info);
+      return card;
+    }
+
+    // product cards for the products an answer refers to
+    function addProducts(products) {
+      const list = (products || []).filter(p => p && (p.handle || p.url));
+      if (!list.length) return;
+      const wrap = make('div', { className: 'saia-products' });
+      list.forEach(p => wrap.appendChild(productCard(p)));
+      body.appendChild(wrap);
+      scrollToBottom(body);
+    }
+
     async function loadWidgetConfig() {
       try {
         const r = await fetchWithFallback('/api/widget-config', { method: 'GET' });
@@ -124,6 +273,21 @@
 
     await loadWidgetConfig();
 
+    async function restoreConversation() {
+      const id = getConversationId();
+      if (!id) return;
+      try {
+        const r = await fetchWithFallback('/api/conversations/' + encodeURIComponent(id), { method: 'GET' });
+        if (!r.ok) { setConversationId(null); return; }
+        const j = await r.json();
+        if (!j.turns || !j.turns.length) return;
+        empty.remove();
+        j.turns.forEach(t => addMsg(t.content, t.role === 'user' ? 'user' : 'assistant'));
+      } catch (e) { console.debug('conversation restore failed', e.message || e); }
+    }
+
+    await restoreConversation();
+
     async function doScrape() {
       if (haveScraped) return;
       try {
@@ -144,16 +308,40 @@
       try {
         const res = await fetchWithFallback('/api/ask', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ question, url: location.href, useStored: widgetCfg.useStored === true })
+          headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+          body: JSON.stringify({ question, url: location.href, useStored: widgetCfg.useStored === true, stream: true, conversationId: getConversationId() })
         });
         if (!res.ok) {
           const txt = await res.text().catch(() => '');
           typing.remove(); addMsg('Error: ' + res.status + ' ' + txt, 'error');
+        } else if ((res.headers.get('Content-Type') || '').includes('text/event-stream') && res.body) {
+          // render tokens as they arrive; the typing bubble stays until the first one
+          let answerEl = null;
+          let streamError = null;
+          let sources = [];
+          let products = [];
+          await readEvents(res, (name, data) => {
+            if (name === 'token' && data.delta) {
+              if (!answerEl) { typing.remove(); answerEl = addMsg('', 'assistant'); }
+              answerEl.textContent += data.delta;
+              scrollToBottom(body);
+            } else if (name === 'done') {
+              if (data.conversationId) setConversationId(data.conversationId);
+              sources = data.sources || [];
+              products = data.products || [];
+            } else if (name === 'error') {
+              streamError = data.error || 'Unknown error';
+            }
+          });
+          typing.remove();
+          if (streamError) addMsg('Error: ' + streamError, 'error');
+          else if (!answerEl) addMsg('No answer returned', 'error');
+          else { addSources(sources); addProducts(products); }
         } else {
           const j = await res.json().catch(() => ({}));
           typing.remove();
-          if (j.answer) addMsg(j.answer, 'assistant');
+          if (j.conversationId) setConversationId(j.conversationId);
+          if (j.answer) { addMsg(j.answer, 'assistant'); addSources(j.sources); addProducts(j.products); }
           else if (j.error) addMsg('Error: ' + j.error, 'error');
           else addMsg('No answer returned', 'error');
         }
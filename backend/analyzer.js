@@ -0,0 +1,177 @@
+// analyzer.js - language-aware tokenization used for indexing and querying
+
+/**
+ * An analyzer turns text into index terms: Unicode-aware splitting,
+ * lowercasing, diacritic folding (ß becomes ss), stop-word removal and a
+ * light stemmer. Words are folded before they are stemmed, so "Größe" and
+ * "Grosse" give the same term.
+ * The same analyzer must be used when building an index and when querying
+ * it, so the language is stored alongside the index (see indexer.js).
+ *
+ * 'legacy' reproduces the original ASCII-only tokenizer so indexes built
+ * before analyzers existed keep matching until the shop is recrawled.
+ */
+
+const STOP_WORDS = {
+  en: 'a an and are as at be but by for from has have he her his how i if in into is it its me my no not of on or our she so than that the their them then there these they this to too was we were what when where which who why will with you your',
+  fr: 'au aux avec ce ces dans de des du elle en et eux il je la le les leur lui ma mais me meme mes moi mon ne nos notre nous on ou par pas pour qu que qui sa se ses son sur ta te tes toi ton tu un une vos votre vous est sont',
+  de: 'aber als am an auch auf aus bei bin bis bist da dann das dass dein dem den der des die dir du ein eine einem einen einer eines er es fur hat ich ihr im in ist ja kein mit nach nicht noch nur oder sie sind so uber um und uns von vor war was wie wir zu zum zur',
+  es: 'al como con de del el en era es esta este la las le les lo los mas me mi no nos o para pero por que se si sin su sus te tu un una uno y ya',
+  it: 'a ad al alla alle anche che ci con da dal dei del della delle di e gli ha ho i il in la le lo ma mi ne nei nel non o per piu se si sono su sua suo tra un una uno',
+  pt: 'a ao aos as com da das de do dos e ela ele em entre era essa esse eu foi mais mas me meu na nao nas no nos o os ou para pela pelo por que se sem seu sua tem um uma',
+  nl: 'aan al als bij dan dat de der die dit door een en er het hij hoe ik in is je maar met na naar niet nog of om ook op over te tot u uit van voor was wat we wel zij zijn'
+};
+
+function foldDiacritics(s) {
+  return s.normalize('NFD').replace(/\p{M}+/gu, '').replace(/ß/g, 'ss');
+}
+
+const stopSets = {};
+for (const [lang, words] of Object.entries(STOP_WORDS)) {
+  stopSets[lang] = new Set(words.split(' ').map(foldDiacritics));
+}
+
+// Light stemmers: strip plural and common inflection endings only. They are
+// deliberately conservative; over-stemming hurts product names more than
+// under-stemming hurts recall.
+const STEMMERS = {
+  en(w) {
+    if (w.length <= 3) return w;
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies')) w = w.slice(0, -3) + 'i';
+    else if (/(x|ch|sh|zz)es$/.test(w)) w = w.slice(0, -2);
+    else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+    // hoodie/hoodies and berry/berries stem to the same term
+    if (w.length > 3 && w.endsWith('ie')) w = w.slice(0, -1);
+    else if (w.length > 3 && w.endsWith('y')) w = w.slice(0, -1) + 'i';
+    return w;
+  },
+  fr(w) {
+    if (w.length <= 4) return w;
+    if (w.endsWith('aux')) return w.slice(0, -3) + 'al';
+    if (/[sx]$/.test(w)) w = w.slice(0, -1);
+    if (w.length > 4 && w.endsWith('e')) w = w.slice(0, -1);
+    return w;
+  },
+  de(w) {
+    if (w.length <= 4) return w;
+    for (const suf of ['ern', 'em', 'en', 'er', 'es', 'e', 's', 'n']) {
+      if (w.endsWith(suf) && w.length - suf.length >= 3) return w.slice(0, -suf.length);
+    }
+    return w;
+  },
+  es(w) {
+    if (w.length <= 4) return w;
+    if (w.endsWith('ces')) w = w.slice(0, -3) + 'z';
+    else if (w.endsWith('es') && w.length > 5) w = w.slice(0, -2);
+    else if (w.endsWith('s')) w = w.slice(0, -1);
+    if (w.length > 4 && /[aoe]$/.test(w)) w = w.slice(0, -1);
+    return w;
+  },
+  it(w) {
+    if (w.length <= 4) return w;
+    return /[aeio]$/.test(w) ? w.slice(0, -1) : w;
+  },
+  pt(w) {
+    if (w.length <= 4) return w;
+    if (w.endsWith('oes') || w.endsWith('aes')) w = w.slice(0, -3) + 'ao';
+    else if (w.endsWith('s')) w = w.slice(0, -1);
+    if (w.length > 4 && /[aoe]$/.test(w)) w = w.slice(0, -1);
+    return w;
+  },
+  nl(w) {
+    if (w.length <= 4) return w;
+    if (w.endsWith('en') && w.length > 5) return w.slice(0, -2);
+    if (w.endsWith('s') && !w.endsWith('ss')) return w.slice(0, -1);
+    return w;
+  }
+};
+
+// Scripts written without spaces between words; indexed as overlapping bigrams.
+// U+30FC (katakana prolonged sound mark) is Script=Common but part of words.
+const CJK_CLASS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\u30fc';
+const CJK_RE = new RegExp(`[${CJK_CLASS}]`, 'u');
+const CJK_RUNS_RE = new RegExp(`[${CJK_CLASS}]+|[^${CJK_CLASS}]+`, 'gu');
+
+function cjkBigrams(run) {
+  const chars = Array.from(run);
+  if (chars.length === 1) return chars;
+  const out = [];
+  for (let i = 0; i < chars.length - 1; i++) out.push(chars[i] + chars[i + 1]);
+  return out;
+}
+
+function legacyTokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter(t => t.length > 2);
+}
+
+function unicodeTokenize(text, lang) {
+  const stop = stopSets[lang] || null;
+  const stem = STEMMERS[lang] || (w => w);
+  const out = [];
+  const words = (text || '').normalize('NFKC').toLowerCase().split(/[^\p{L}\p{N}\p{M}]+/u);
+  for (const word of words) {
+    if (!word) continue;
+    if (CJK_RE.test(word)) {
+      // split mixed runs so latin/numeric parts are handled as normal words
+      for (const part of word.match(CJK_RUNS_RE)) {
+        if (CJK_RE.test(part)) out.push(...cjkBigrams(part));
+        else if (part.length > 1) out.push(foldDiacritics(part));
+      }
+      continue;
+    }
+    const folded = foldDiacritics(word);
+    if (folded.length < 2 && !/\d/.test(folded)) continue;
+    if (stop && stop.has(folded)) continue;
+    out.push(stem(folded));
+  }
+  return out;
+}
+
+/**
+ * Reduce a language tag ("fr-CA", "de_DE", "EN") to a two-letter code.
+ * Returns null for empty input.
+ */
+function normalizeLang(lang) {
+  if (!lang || typeof lang !== 'string') return null;
+  const code = lang.trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(code) ? code : null;
+}
+
+/**
+ * Pick the shop language from crawled pages' <html lang> attributes
+ * (majority vote), falling back when no page declares one.
+ */
+function detectLanguage(pages, fallback = 'en') {
+  const counts = {};
+  for (const p of pages || []) {
+    const l = normalizeLang(p && p.lang);
+    if (l) counts[l] = (counts[l] || 0) + 1;
+  }
+  const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return best ? best[0] : fallback;
+}
+
+const analyzers = {};
+
+/**
+ * Get the analyzer for a language code. Unknown languages get Unicode
+ * tokenization without stop-words or stemming; missing lang means 'legacy'.
+ */
+function getAnalyzer(lang) {
+  const key = lang ? (lang === 'legacy' ? 'legacy' : normalizeLang(lang) || 'legacy') : 'legacy';
+  if (!analyzers[key]) {
+    analyzers[key] = {
+      lang: key,
+      tokenize: key === 'legacy' ? legacyTokenize : text => unicodeTokenize(text, key)
+    };
+  }
+  return analyzers[key];
+}
+
+module.exports = { getAnalyzer, detectLanguage, normalizeLang };
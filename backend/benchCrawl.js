@@ -0,0 +1,110 @@
+// benchCrawl.js - crawl a local fixture store and report requests, bytes and time
+//
+// Usage: node benchCrawl.js [--pages 100] [--runs 3] (npm run bench-crawl).
+//   Serves a generated store on a free localhost port: every page carries
+//   about 10 KB of text and links to three others, robots.txt and the sitemap
+//   are missing, so the crawler discovers pages by following links. Each run
+//   crawls it with a fresh crawler (no previous pages, no rendering, no
+//   policy probes) and the fixture counts the requests it answered and the
+//   bytes it sent. The baseline figures replay the old pipeline, which fetched
+//   every page a second time to collect its links: the same crawl plus one
+//   more GET per page. Crawler logs are muted; one summary line is printed
+//   per run and for the median.
+
+const http = require('http');
+const axios = require('axios');
+const crawler = require('./crawler');
+
+function parseArgs(argv) {
+  const args = { pages: 100, runs: 3 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--pages') args.pages = parseInt(argv[++i], 10);
+    else if (argv[i] === '--runs') args.runs = parseInt(argv[++i], 10);
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  if (!(args.pages > 0) || !(args.runs > 0)) throw new Error('--pages and --runs must be positive numbers');
+  return args;
+}
+
+const FILLER = `<p>${'Organic cotton, recycled polyester and a relaxed fit. '.repeat(180)}</p>`;
+
+// A store of `size` pages: /, then /pages/p1 .. /pages/p<size - 1>
+function startFixture(size) {
+  const counters = { requests: 0, bytes: 0 };
+  const server = http.createServer((req, res) => {
+    counters.requests++;
+    const m = req.url.match(/^\/pages\/p(\d+)$/);
+    if (req.url !== '/' && !m) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    const n = m ? parseInt(m[1], 10) : 0;
+    const links = [1, 2, 3].map(k => `<a href="/pages/p${(n * 3 + k) % size || 1}">Page ${(n * 3 + k) % size || 1}</a>`).join(' ');
+    const body = `<!doctype html><html lang="en"><head><title>Page ${n}</title></head><body><h1>Page ${n}</h1>${FILLER}<nav>${links}</nav></body></html>`;
+    counters.bytes += Buffer.byteLength(body);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(body);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, counters, port: server.address().port })));
+}
+
+// One crawl of a fresh fixture; `refetch` adds the old second GET per page
+async function measure(pages, refetch) {
+  const fixture = await startFixture(pages + 20);
+  const log = console.log;
+  console.log = () => {};
+  const started = Date.now();
+  try {
+    const result = await crawler.crawlSite(`http://127.0.0.1:${fixture.port}/`, {
+      maxPages: pages, maxDepth: 50, respectRobots: false, useSitemap: false, fallbackRender: false, policyPages: false
+    });
+    if (refetch) for (const page of result.pages) await axios.get(page.url, { responseType: 'text' });
+    return { pages: result.pages.length, requests: fixture.counters.requests, kb: Math.round(fixture.counters.bytes / 1024), ms: Date.now() - started };
+  } finally {
+    console.log = log;
+    fixture.server.close();
+  }
+}
+
+async function run(pages) {
+  const current = await measure(pages, false);
+  const baseline = await measure(pages, true);
+  return Object.assign(current, { baseline: { requests: baseline.requests, kb: baseline.kb, ms: baseline.ms } });
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+if (require.main === module) {
+  (async () => {
+    const args = parseArgs(process.argv.slice(2));
+    // warm up the JIT and the sockets so the first measured crawl is not penalised
+    await measure(Math.min(args.pages, 20), false);
+    const runs = [];
+    for (let i = 0; i < args.runs; i++) {
+      const r = await run(args.pages);
+      console.log(`bench: run ${i + 1}`, r);
+      runs.push(r);
+    }
+    console.log('bench: median', {
+      pages: median(runs.map(r => r.pages)),
+      requests: median(runs.map(r => r.requests)),
+      kb: median(runs.map(r => r.kb)),
+      ms: median(runs.map(r => r.ms)),
+      baseline: {
+        requests: median(runs.map(r => r.baseline.requests)),
+        kb: median(runs.map(r => r.baseline.kb)),
+        ms: median(runs.map(r => r.baseline.ms))
+      }
+    });
+    // the crawler's keep-alive agents hold sockets open
+    process.exit(0);
+  })().catch(e => {
+    console.error('bench:', e.message || e);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,190 @@
+// browserPool.js - shared headless Chrome for render fallbacks
+
+/**
+ * One lazily launched browser with up to BROWSER_POOL_SIZE reusable tabs.
+ * Callers borrow a tab with withPage(fn); extra callers wait for a free one.
+ * The browser is closed after BROWSER_IDLE_MS without work and relaunched on
+ * demand, also after a crash. Tabs block images, media, fonts and known
+ * analytics/pixel hosts so renders only pay for the HTML, CSS and scripts
+ * that produce the text.
+ *
+ * Puppeteer is optional (heavy); without it isAvailable() is false.
+ */
+
+let puppeteer;
+let browser = null;
+let launching = null;
+let idleTimer = null;
+const idle = []; // pages ready for reuse
+const busy = new Set();
+const waiters = []; // resolve functions waiting for a free page
+const counters = { launches: 0, crashes: 0, renders: 0, blocked: 0 };
+
+const BLOCKED_TYPES = new Set(['image', 'media', 'font']);
+const BLOCKED_HOSTS = [
+  'google-analytics.com', 'googletagmanager.com', 'doubleclick.net', 'facebook.net', 'facebook.com',
+  'hotjar.com', 'clarity.ms', 'tiktok.com', 'snapchat.com', 'pinterest.com', 'klaviyo.com',
+  'monorail-edge.shopifysvc.com'
+];
+
+function settings() {
+  return {
+    size: Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE || '2', 10)),
+    idleMs: parseInt(process.env.BROWSER_IDLE_MS || '60000', 10),
+    extraBlocked: (process.env.RENDER_BLOCK_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean)
+  };
+}
+
+function loadPuppeteer() {
+  if (puppeteer !== undefined) return puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch (e) {
+    // not installed
+    puppeteer = null;
+  }
+  return puppeteer;
+}
+
+function isAvailable() {
+  return !!loadPuppeteer();
+}
+
+function isBlocked(req, cfg) {
+  if (BLOCKED_TYPES.has(req.resourceType())) return true;
+  let host = '';
+  try { host = new URL(req.url()).hostname; } catch (e) { return false; }
+  return BLOCKED_HOSTS.concat(cfg.extraBlocked).some(h => host === h || host.endsWith('.' + h));
+}
+
+// Forget the browser and every tab; waiters get a tab from the next launch
+function reset() {
+  browser = null;
+  idle.length = 0;
+  busy.clear();
+}
+
+async function getBrowser() {
+  if (browser) return browser;
+  if (launching) return launching;
+  const pptr = loadPuppeteer();
+  if (!pptr) throw new Error('puppeteer is not installed');
+  launching = pptr.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'], headless: true })
+    .then(b => {
+      counters.launches++;
+      console.log('browserPool: browser launched');
+      b.on('disconnected', () => {
+        if (browser !== b) return;
+        counters.crashes++;
+        console.log('browserPool: browser disconnected, will relaunch on demand');
+        reset();
+        // tabs are gone; let waiting callers retry on a fresh browser
+        while (waiters.length) waiters.shift()(null);
+      });
+      browser = b;
+      return b;
+    })
+    .finally(() => { launching = null; });
+  return launching;
+}
+
+async function newPage() {
+  const cfg = settings();
+  const b = await getBrowser();
+  const page = await b.newPage();
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    if (req.isInterceptResolutionHandled && req.isInterceptResolutionHandled()) return;
+    if (isBlocked(req, cfg)) { counters.blocked++; req.abort().catch(() => {}); } else req.continue().catch(() => {});
+  });
+  // a crashed tab is dropped instead of being handed out again
+  page.on('error', () => { page.__saiaBroken = true; });
+  return page;
+}
+
+function scheduleIdleClose() {
+  clearTimeout(idleTimer);
+  if (busy.size || waiters.length || !browser) return;
+  idleTimer = setTimeout(() => {
+    if (busy.size || waiters.length) return;
+    console.log('browserPool: idle, closing browser');
+    shutdown();
+  }, settings().idleMs);
+  if (idleTimer.unref) idleTimer.unref();
+}
+
+async function acquire() {
+  clearTimeout(idleTimer);
+  for (;;) {
+    const page = idle.pop();
+    if (page) {
+      if (page.isClosed() || page.__saiaBroken) continue;
+      busy.add(page);
+      return page;
+    }
+    if (busy.size < settings().size) {
+      // reserve the slot before the async launch so concurrent callers respect the size
+      const slot = {};
+      busy.add(slot);
+      try {
+        const created = await newPage();
+        busy.delete(slot);
+        busy.add(created);
+        return created;
+      } catch (e) {
+        busy.delete(slot);
+        throw e;
+      }
+    }
+    const handed = await new Promise(resolve => waiters.push(resolve));
+    if (handed) { busy.add(handed); return handed; }
+  }
+}
+
+function release(page, broken) {
+  busy.delete(page);
+  if (broken || page.isClosed() || page.__saiaBroken || !browser) {
+    page.close().catch(() => {});
+    // a slot freed up: wake one waiter so it can open a fresh tab
+    if (waiters.length) waiters.shift()(null);
+  } else if (waiters.length) {
+    waiters.shift()(page);
+  } else {
+    idle.push(page);
+  }
+  scheduleIdleClose();
+}
+
+/**
+ * Run fn(page) on a pooled tab and return its result. The tab goes back to
+ * the pool afterwards; if fn throws because the tab or browser died, the
+ * tab is discarded and the error rethrown.
+ */
+async function withPage(fn) {
+  const page = await acquire();
+  let broken = false;
+  try {
+    counters.renders++;
+    return await fn(page);
+  } catch (e) {
+    broken = page.isClosed() || !browser || /Target closed|Session closed|crashed|detached/i.test(e.message || '');
+    throw e;
+  } finally {
+    release(page, broken);
+  }
+}
+
+async function shutdown() {
+  clearTimeout(idleTimer);
+  const b = browser;
+  reset();
+  if (b) await b.close().catch(() => {});
+}
+
+function stats() {
+  return Object.assign({ running: !!browser, idlePages: idle.length, busyPages: busy.size, waiting: waiters.length, size: settings().size }, counters);
+}
+
+process.once('exit', () => { if (browser && browser.process()) browser.process().kill(); });
+
+module.exports = { withPage, isAvailable, shutdown, stats };
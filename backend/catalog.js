@@ -0,0 +1,300 @@
+// catalog.js - product catalog sync from the Shopify Admin GraphQL API
+
+const shopify = require('./shopify');
+const tokens = require('./tokens');
+
+/**
+ * Pages through products (with variants, options, metafields and
+ * collection membership) and collections using the shop's stored offline
+ * token, and turns them into text "catalog pages" that are indexed next to
+ * crawled pages. Crawled HTML misses variant availability, prices and
+ * metafields; these pages carry them so /api/ask can answer stock and
+ * price questions.
+ *
+ * Shopify rejects queries whose estimated cost is over 1000 points, and a
+ * nested connection costs its `first` times the parent's. Products are
+ * fetched PRODUCTS_PAGE at a time with their first VARIANTS_PAGE
+ * variants (about 720 points), and products with more variants page the
+ * rest through variantsQuery.
+ */
+
+const PRODUCTS_PAGE = 10;
+const VARIANTS_PAGE = 50;
+
+function productFields(includeInventory) {
+  return `id handle title description status productType vendor tags updatedAt onlineStoreUrl
+      featuredImage { url altText }
+      priceRangeV2 { minVariantPrice { amount currencyCode } maxVariantPrice { amount currencyCode } }
+      ${includeInventory ? 'totalInventory' : ''}
+      options { name values }
+      collections(first: 10) { nodes { handle title } }
+      metafields(first: 10) { nodes { namespace key value type } }
+      variants(first: ${VARIANTS_PAGE}) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${variantFields(includeInventory)} }
+      }`;
+}
+
+function variantFields(includeInventory) {
+  return `id title sku price compareAtPrice availableForSale
+          ${includeInventory ? 'inventoryQuantity' : ''}
+          selectedOptions { name value }
+          image { url }`;
+}
+
+function productsQuery(includeInventory) {
+  return `query Products($cursor: String) {
+  shop { currencyCode }
+  products(first: ${PRODUCTS_PAGE}, after: $cursor, query: "status:active") {
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      ${productFields(includeInventory)}
+    }
+  }
+}`;
+}
+
+function productQuery(includeInventory) {
+  return `query Product($id: ID!) {
+  shop { currencyCode }
+  product(id: $id) {
+      ${productFields(includeInventory)}
+  }
+}`;
+}
+
+function variantsQuery(includeInventory) {
+  return `query Variants($id: ID!, $cursor: String) {
+  product(id: $id) {
+    variants(first: 250, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes { ${variantFields(includeInventory)} }
+    }
+  }
+}`;
+}
+
+const COLLECTION_FIELDS = 'id handle title description updatedAt image { url }';
+
+const COLLECTIONS_QUERY = `query Collections($cursor: String) {
+  collections(first: 100, after: $cursor) {
+    pageInfo { hasNextPage endCursor }
+    nodes { ${COLLECTION_FIELDS} }
+  }
+}`;
+
+const COLLECTION_QUERY = `query Collection($id: ID!) {
+  collection(id: $id) {
+    ${COLLECTION_FIELDS}
+    products(first: 250) { nodes { handle } }
+  }
+}`;
+
+function simplifyCollection(c) {
+  return { id: c.id, handle: c.handle, title: c.title, description: c.description || '', updatedAt: c.updatedAt, image: c.image ? c.image.url : null };
+}
+
+function accessTokenFor(shop) {
+  const stored = tokens.getToken(shop);
+  return stored && (stored.access_token || stored.accessToken) || null;
+}
+
+// Append the variants past the first page to a product node, in place
+async function fetchRemainingVariants(shop, accessToken, p, includeInventory) {
+  let page = p.variants && p.variants.pageInfo;
+  while (page && page.hasNextPage) {
+    const data = await shopify.adminGraphql(shop, accessToken, variantsQuery(includeInventory), { id: p.id, cursor: page.endCursor });
+    const variants = data.product && data.product.variants;
+    if (!variants) break;
+    p.variants.nodes.push(...variants.nodes);
+    page = variants.pageInfo;
+  }
+}
+
+function simplifyProduct(p, currency) {
+  return {
+    id: p.id,
+    handle: p.handle,
+    title: p.title,
+    description: p.description || '',
+    productType: p.productType || '',
+    vendor: p.vendor || '',
+    tags: p.tags || [],
+    updatedAt: p.updatedAt,
+    url: p.onlineStoreUrl || null,
+    image: p.featuredImage ? p.featuredImage.url : null,
+    currency: (p.priceRangeV2 && p.priceRangeV2.minVariantPrice && p.priceRangeV2.minVariantPrice.currencyCode) || currency,
+    minPrice: p.priceRangeV2 ? p.priceRangeV2.minVariantPrice.amount : null,
+    maxPrice: p.priceRangeV2 ? p.priceRangeV2.maxVariantPrice.amount : null,
+    totalInventory: typeof p.totalInventory === 'number' ? p.totalInventory : null,
+    options: (p.options || []).map(o => ({ name: o.name, values: o.values })),
+    collections: ((p.collections && p.collections.nodes) || []).map(c => c.handle),
+    metafields: ((p.metafields && p.metafields.nodes) || []).map(m => ({ namespace: m.namespace, key: m.key, value: m.value, type: m.type })),
+    variants: ((p.variants && p.variants.nodes) || []).map(v => ({
+      id: v.id,
+      title: v.title,
+      sku: v.sku || '',
+      price: v.price,
+      compareAtPrice: v.compareAtPrice || null,
+      available: !!v.availableForSale,
+      inventoryQuantity: typeof v.inventoryQuantity === 'number' ? v.inventoryQuantity : null,
+      options: (v.selectedOptions || []).reduce((acc, o) => { acc[o.name] = o.value; return acc; }, {}),
+      image: v.image ? v.image.url : null
+    }))
+  };
+}
+
+/**
+ * Fetch the catalog for a shop. Returns { products, collections, currency, syncedAt }.
+ * Throws when the shop has no stored token or the API call fails.
+ */
+async function fetchCatalog(shop, opts = {}) {
+  const accessToken = opts.accessToken || accessTokenFor(shop);
+  if (!accessToken) throw new Error(`No access token stored for ${shop}`);
+  const maxProducts = opts.maxProducts || parseInt(process.env.CATALOG_MAX_PRODUCTS || '2500', 10);
+  const includeInventory = process.env.CATALOG_INCLUDE_INVENTORY !== 'false';
+  console.log('catalog: sync starting for', shop, { maxProducts, includeInventory });
+
+  const products = [];
+  let currency = null;
+  let cursor = null;
+  do {
+    const data = await shopify.adminGraphql(shop, accessToken, productsQuery(includeInventory), { cursor });
+    currency = currency || (data.shop && data.shop.currencyCode);
+    for (const p of data.products.nodes) {
+      await fetchRemainingVariants(shop, accessToken, p, includeInventory);
+      products.push(simplifyProduct(p, currency));
+    }
+    cursor = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+  } while (cursor && products.length < maxProducts);
+
+  const collections = [];
+  cursor = null;
+  do {
+    const data = await shopify.adminGraphql(shop, accessToken, COLLECTIONS_QUERY, { cursor });
+    for (const c of data.collections.nodes) collections.push(simplifyCollection(c));
+    cursor = data.collections.pageInfo.hasNextPage ? data.collections.pageInfo.endCursor : null;
+  } while (cursor);
+
+  console.log('catalog: sync finished for', shop, { products: products.length, collections: collections.length });
+  return { products: products.slice(0, maxProducts), collections, currency, syncedAt: Date.now() };
+}
+
+/**
+ * Fetch one product by GraphQL id (webhook updates). Returns the simplified
+ * product, or null when it no longer exists or is not active (the full sync
+ * only keeps active products).
+ */
+async function fetchProduct(shop, id, opts = {}) {
+  const accessToken = opts.accessToken || accessTokenFor(shop);
+  if (!accessToken) throw new Error(`No access token stored for ${shop}`);
+  const includeInventory = process.env.CATALOG_INCLUDE_INVENTORY !== 'false';
+  const data = await shopify.adminGraphql(shop, accessToken, productQuery(includeInventory), { id });
+  const p = data.product;
+  if (!p || (p.status && p.status !== 'ACTIVE')) return null;
+  await fetchRemainingVariants(shop, accessToken, p, includeInventory);
+  return simplifyProduct(p, data.shop && data.shop.currencyCode);
+}
+
+/**
+ * Fetch one collection by GraphQL id with the handles of its products.
+ * Returns { collection, productHandles } or null when it no longer exists.
+ */
+async function fetchCollection(shop, id, opts = {}) {
+  const accessToken = opts.accessToken || accessTokenFor(shop);
+  if (!accessToken) throw new Error(`No access token stored for ${shop}`);
+  const data = await shopify.adminGraphql(shop, accessToken, COLLECTION_QUERY, { id });
+  const c = data.collection;
+  if (!c) return null;
+  return { collection: simplifyCollection(c), productHandles: ((c.products && c.products.nodes) || []).map(p => p.handle) };
+}
+
+function variantLine(v, currency) {
+  let stock = v.available ? 'in stock' : 'out of stock';
+  if (v.available && v.inventoryQuantity !== null && v.inventoryQuantity > 0) stock += ` (${v.inventoryQuantity} available)`;
+  const parts = [`${v.title}: ${v.price} ${currency || ''}`.trim(), stock];
+  if (v.compareAtPrice && Number(v.compareAtPrice) > Number(v.price)) parts.push(`on sale from ${v.compareAtPrice}`);
+  if (v.sku) parts.push(`SKU ${v.sku}`);
+  return parts.join(', ');
+}
+
+/**
+ * Text rendering of a product for indexing and prompts. Variant lines spell
+ * out option values and stock so "is the M size in stock?" matches them.
+ */
+function productText(p, collectionTitles = {}) {
+  const lines = [];
+  lines.push(p.title + '.');
+  if (p.vendor) lines.push(`Brand: ${p.vendor}.`);
+  if (p.productType) lines.push(`Type: ${p.productType}.`);
+  if (p.minPrice !== null) {
+    lines.push(p.minPrice === p.maxPrice ? `Price: ${p.minPrice} ${p.currency || ''}.` : `Price: ${p.minPrice} to ${p.maxPrice} ${p.currency || ''}.`);
+  }
+  const anyAvailable = p.variants.some(v => v.available);
+  lines.push(anyAvailable ? 'Availability: in stock.' : 'Availability: sold out.');
+  for (const o of p.options) {
+    if (o.values && o.values.length > 1) lines.push(`${o.name} options: ${o.values.join(', ')}.`);
+  }
+  if (p.variants.length > 1 || (p.variants[0] && p.variants[0].title !== 'Default Title')) {
+    lines.push('Variants: ' + p.variants.map(v => variantLine(v, p.currency)).join('; ') + '.');
+  } else if (p.variants[0] && p.variants[0].sku) {
+    lines.push(`SKU: ${p.variants[0].sku}.`);
+  }
+  const cols = p.collections.map(h => collectionTitles[h] || h);
+  if (cols.length) lines.push(`Collections: ${cols.join(', ')}.`);
+  if (p.tags.length) lines.push(`Tags: ${p.tags.join(', ')}.`);
+  for (const m of p.metafields) {
+    // skip JSON blobs and references; plain values read well in answers
+    if (/^(json|.*reference)/.test(m.type || '') || String(m.value).length > 300) continue;
+    lines.push(`${m.key.replace(/_/g, ' ')}: ${m.value}.`);
+  }
+  if (p.description) lines.push(p.description);
+  return lines.join('\n');
+}
+
+/**
+ * Turn a synced catalog into page-shaped records ({ url, title, h1, text,
+ * type }) so they flow through the same indexer as crawled pages.
+ */
+function catalogPages(shop, catalog) {
+  if (!catalog) return [];
+  const base = `https://${shop}`;
+  const collectionTitles = {};
+  for (const c of catalog.collections || []) collectionTitles[c.handle] = c.title;
+  const pages = [];
+  for (const p of catalog.products || []) {
+    pages.push({
+      url: p.url || `${base}/products/${p.handle}`,
+      title: p.title,
+      h1: p.title,
+      description: '',
+      text: productText(p, collectionTitles),
+      type: 'product',
+      source: 'catalog'
+    });
+  }
+  for (const c of catalog.collections || []) {
+    const members = (catalog.products || []).filter(p => p.collections.includes(c.handle)).map(p => p.title);
+    pages.push({
+      url: `${base}/collections/${c.handle}`,
+      title: c.title,
+      h1: c.title,
+      description: '',
+      text: [c.title + '.', c.description, members.length ? `Products: ${members.slice(0, 50).join(', ')}.` : ''].filter(Boolean).join('\n'),
+      type: 'collection',
+      source: 'catalog'
+    });
+  }
+  return pages;
+}
+
+/**
+ * Fetch the catalog and return the fields to persist with the shop data:
+ * { catalog, catalogPages }.
+ */
+async function syncCatalog(shop, opts = {}) {
+  const catalog = await fetchCatalog(shop, opts);
+  return { catalog, catalogPages: catalogPages(shop, catalog) };
+}
+
+module.exports = { syncCatalog, fetchCatalog, fetchProduct, fetchCollection, catalogPages, productText };
@@ -0,0 +1,91 @@
+// conversations.js - short-lived multi-turn chat memory (in-process)
+
+const crypto = require('crypto');
+const { createLru } = require('./lruCache');
+
+/**
+ * Conversations are kept in memory per backend process, keyed by an id the
+ * widget stores in sessionStorage. Each one is bound to the shop it was
+ * created for, expires after CONVERSATION_TTL_MINUTES of inactivity and
+ * keeps at most CONVERSATION_MAX_TURNS question/answer pairs. At most
+ * CONVERSATIONS_MAX (default 5000) are held; past that the least recently
+ * used one is dropped, so a flood of new ids cannot grow memory until the
+ * TTL sweep catches up.
+ */
+let conversations = null; // id -> { id, shop, turns: [{ role, content, at }], updatedAt }
+
+function store() {
+  if (!conversations) {
+    conversations = createLru({ maxEntries: parseInt(process.env.CONVERSATIONS_MAX || '5000', 10), maxBytes: Infinity });
+  }
+  return conversations;
+}
+
+function ttlMs() {
+  return parseInt(process.env.CONVERSATION_TTL_MINUTES || '30', 10) * 60 * 1000;
+}
+
+function maxMessages() {
+  return parseInt(process.env.CONVERSATION_MAX_TURNS || '10', 10) * 2;
+}
+
+function isExpired(convo, now = Date.now()) {
+  return now - convo.updatedAt > ttlMs();
+}
+
+/**
+ * Return the live conversation for `id`, or start a new one when the id is
+ * missing, unknown, expired or belongs to another shop.
+ */
+function getOrCreate(id, shop) {
+  const existing = id ? store().get(id) : null;
+  if (existing && !isExpired(existing) && existing.shop === (shop || null)) return existing;
+  if (existing) store().delete(id);
+  const convo = { id: crypto.randomBytes(16).toString('hex'), shop: shop || null, turns: [], updatedAt: Date.now() };
+  store().set(convo.id, convo);
+  console.log('conversations: started', convo.id, 'for', convo.shop);
+  return convo;
+}
+
+function get(id, shop) {
+  const convo = id ? store().get(id) : null;
+  if (!convo || isExpired(convo) || convo.shop !== (shop || null)) return null;
+  return convo;
+}
+
+function appendTurn(id, role, content) {
+  const convo = store().peek(id);
+  if (!convo || !content) return;
+  convo.turns.push({ role, content, at: Date.now() });
+  // trim oldest messages beyond the cap
+  const max = maxMessages();
+  if (convo.turns.length > max) convo.turns.splice(0, convo.turns.length - max);
+  convo.updatedAt = Date.now();
+}
+
+// Record a question with its answer; failed asks leave no half turn behind
+function recordExchange(id, question, answer) {
+  appendTurn(id, 'user', question);
+  appendTurn(id, 'assistant', answer);
+}
+
+// Prior turns in OpenAI/OpenRouter `messages` shape
+function history(id) {
+  const convo = store().peek(id);
+  return convo ? convo.turns.map(t => ({ role: t.role, content: t.content })) : [];
+}
+
+function sweep() {
+  const now = Date.now();
+  let removed = 0;
+  store().invalidate(id => {
+    const expired = isExpired(store().peek(id), now);
+    if (expired) removed++;
+    return expired;
+  });
+  if (removed) console.log('conversations: expired', removed);
+}
+
+setInterval(sweep, 5 * 60 * 1000).unref();
+
+module.exports = { getOrCreate, get, recordExchange, history };
@@ -0,0 +1,175 @@
+// crawlJobs.js - background crawl jobs with progress, persistence and cancellation
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+/**
+ * Crawls run as jobs instead of inside HTTP requests. A job moves through
+ * queued -> running -> done | failed | cancelled; its record (page counts,
+ * progress, error) is written to storage on every change so status survives
+ * a restart. Jobs left queued/running by a previous process are marked
+ * failed on startup since their work cannot be resumed.
+ *
+ * At most CRAWL_JOB_CONCURRENCY jobs run at once and each shop has at most
+ * one active job: enqueueing for a shop that already has one returns it.
+ * Finished jobs older than CRAWL_JOB_RETENTION_DAYS are pruned.
+ */
+
+const jobs = new Map(); // id -> job record
+const tasks = new Map(); // id -> { task, controller } for jobs not finished yet
+const queue = []; // ids waiting to run
+let running = 0;
+
+const ACTIVE = ['queued', 'running'];
+
+function concurrency() {
+  return Math.max(1, parseInt(process.env.CRAWL_JOB_CONCURRENCY || '1', 10));
+}
+
+function persist(job) {
+  job.updatedAt = Date.now();
+  storage.writeCrawlJob(job);
+}
+
+function load() {
+  const retentionMs = parseInt(process.env.CRAWL_JOB_RETENTION_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+  for (const job of storage.listCrawlJobs()) {
+    if (ACTIVE.includes(job.status)) {
+      job.status = 'failed';
+      job.error = 'Interrupted by a server restart';
+      job.finishedAt = Date.now();
+      persist(job);
+    }
+    if (job.finishedAt && Date.now() - job.finishedAt > retentionMs) {
+      storage.deleteCrawlJob(job.id);
+      continue;
+    }
+    jobs.set(job.id, job);
+  }
+  if (jobs.size) console.log('crawlJobs: loaded', jobs.size, 'jobs');
+}
+
+function get(id) {
+  return jobs.get(id) || null;
+}
+
+function list(shop) {
+  return [...jobs.values()]
+    .filter(j => !shop || j.shop === shop)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function activeFor(shop) {
+  return [...jobs.values()].find(j => j.shop === shop && ACTIVE.includes(j.status)) || null;
+}
+
+/**
+ * Queue a crawl. task(job, { signal, onProgress }) does the work and
+ * resolves to a summary ({ pageCount, ... }) stored as job.result;
+ * onProgress(progress) updates job.progress. Returns the job record.
+ */
+function enqueue({ shop, url, kind, task }) {
+  const existing = activeFor(shop);
+  if (existing) {
+    console.log('crawlJobs: job already active for', shop, existing.id);
+    return existing;
+  }
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    shop,
+    url,
+    kind: kind || 'manual',
+    status: 'queued',
+    progress: { pagesCrawled: 0, queued: 0 },
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+  tasks.set(job.id, { task, controller: new AbortController() });
+  queue.push(job.id);
+  persist(job);
+  console.log('crawlJobs: queued', job.id, 'for', shop, job.kind);
+  setImmediate(pump);
+  return job;
+}
+
+function finish(job, status, fields) {
+  Object.assign(job, fields, { status, finishedAt: Date.now() });
+  tasks.delete(job.id);
+  persist(job);
+  console.log('crawlJobs:', job.id, status, job.error || '');
+}
+
+async function runJob(job) {
+  const { task, controller } = tasks.get(job.id);
+  job.status = 'running';
+  job.startedAt = Date.now();
+  persist(job);
+  let lastWrite = 0;
+  const onProgress = (progress) => {
+    job.progress = Object.assign({}, job.progress, progress);
+    // progress can tick per page; keep disk writes to one a second
+    if (Date.now() - lastWrite > 1000) { lastWrite = Date.now(); persist(job); }
+  };
+  try {
+    const result = await task(job, { signal: controller.signal, onProgress });
+    if (controller.signal.aborted) finish(job, 'cancelled', { result: result || null });
+    else finish(job, 'done', { result: result || null });
+  } catch (e) {
+    if (controller.signal.aborted) finish(job, 'cancelled', {});
+    else finish(job, 'failed', { error: e.message || String(e) });
+  }
+}
+
+function pump() {
+  while (running < concurrency() && queue.length) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.status !== 'queued') continue;
+    running++;
+    runJob(job).finally(() => { running--; pump(); });
+  }
+}
+
+/**
+ * Cancel a queued or running job. A running crawl stops taking new pages,
+ * lets in-flight ones finish and does not persist its partial result.
+ * Returns the job, or null when it does not exist.
+ */
+function cancel(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (!ACTIVE.includes(job.status)) return job;
+  const entry = tasks.get(id);
+  if (job.status === 'queued') {
+    const i = queue.indexOf(id);
+    if (i >= 0) queue.splice(i, 1);
+    finish(job, 'cancelled', {});
+  } else if (entry) {
+    entry.controller.abort();
+    job.cancelRequested = true;
+    persist(job);
+  }
+  return job;
+}
+
+/**
+ * Drop a shop's jobs (app uninstalled): an active one is cancelled, so its
+ * crawl stores nothing, and finished records are deleted. Returns how many
+ * jobs were affected.
+ */
+function forgetShop(shop) {
+  const owned = list(shop);
+  for (const job of owned) {
+    if (ACTIVE.includes(job.status)) { cancel(job.id); continue; }
+    jobs.delete(job.id);
+    storage.deleteCrawlJob(job.id);
+  }
+  return owned.length;
+}
+
+load();
+
+module.exports = { enqueue, get, list, cancel, activeFor, forgetShop };
@@ -0,0 +1,161 @@
+// crawlRules.js - URL include/exclude rules and page-type classification for crawls
+
+/**
+ * Rules decide which storefront URLs are worth a page of the crawl budget:
+ *   include / exclude   patterns matched against path + query. Globs use `*`
+ *                       for any run of characters ("/account*", "/*.json");
+ *                       a "re:" prefix makes a regular expression ("re:^/blogs/news/tagged/").
+ *                       Excludes win; a non-empty include list is a whitelist.
+ *   stripParams         query parameters dropped from URLs (globs allowed, "filter.*")
+ *   respectCanonical    store a page under its <link rel="canonical"> URL and
+ *                       skip duplicates that point at an already crawled page
+ * Shop rules (stored as `crawlRules` with the shop data) add to the defaults
+ * below unless they set useDefaults: false. They are matched against every
+ * crawled URL, so validateRules caps their number, length and wildcards,
+ * and refuses regular expressions that can backtrack badly (quantified
+ * groups that contain a quantifier or alternative, backreferences).
+ */
+const DEFAULT_RULES = {
+  include: [],
+  exclude: [
+    '/account*', '/cart*', '/checkout*', '/checkouts/*', '/orders/*', '/search*', '/password*',
+    '/challenge*', '/tools/*', '/apps/*', '/cdn/*', '/services/*',
+    '*.json', '*.js', '*.xml', '*.atom', '*.oembed', '*.rss'
+  ],
+  // pagination, sorting, filter permutations and tracking parameters
+  stripParams: ['page', 'sort_by', 'filter.*', 'variant', 'q', 'ref', 'view', 'utm_*', '_pos', '_sid', '_ss', '_psq', '_fid', 'fbclid', 'gclid', 'srsltid'],
+  respectCanonical: true
+};
+
+function escapeRegex(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const MAX_PATTERNS = 100;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_WILDCARDS = 4;
+const MAX_REGEX_LENGTH = 100;
+
+function compilePattern(pattern) {
+  const p = String(pattern);
+  if (p.startsWith('re:')) return new RegExp(p.slice(3));
+  return new RegExp('^' + p.split('*').map(escapeRegex).join('.*') + '$', 'i');
+}
+
+// Why a regular expression rule is unsafe to run against every URL, or null
+function regexProblem(source) {
+  if (source.length > MAX_REGEX_LENGTH) return `regular expressions are limited to ${MAX_REGEX_LENGTH} characters`;
+  if (/\\[1-9]|\\k</.test(source)) return 'backreferences are not supported';
+  try {
+    new RegExp(source);
+  } catch (e) {
+    return `invalid regular expression (${e.message})`;
+  }
+  // drop escapes and character classes, then look for a quantified group
+  // whose body repeats or branches: (a+)+, (a|ab)*, (\w+\.)*
+  const plain = source.replace(/\\./g, 'x').replace(/\[[^\]]*\]/g, 'x');
+  const open = [];
+  for (let i = 0; i < plain.length; i++) {
+    if (plain[i] === '(') open.push(i);
+    else if (plain[i] === ')' && open.length) {
+      const body = plain.slice(open.pop() + 1, i);
+      if (/^[*+?{]/.test(plain.slice(i + 1)) && /[*+?{|]/.test(body.replace(/^\?(?:[:=!]|<[=!]|<\w+>)/, ''))) return 'nested quantifiers are not supported';
+    }
+  }
+  return null;
+}
+
+/**
+ * Check shop rules before they are stored. Returns an error message, or
+ * null when the rules are acceptable.
+ */
+function validateRules(rules) {
+  for (const key of ['include', 'exclude', 'stripParams']) {
+    const list = rules[key];
+    if (list === undefined) continue;
+    if (!Array.isArray(list) || !list.every(p => typeof p === 'string')) return `${key} must be an array of patterns`;
+    if (list.length > MAX_PATTERNS) return `${key} has more than ${MAX_PATTERNS} patterns`;
+    for (const p of list) {
+      if (p.startsWith('re:')) {
+        const problem = regexProblem(p.slice(3));
+        if (problem) return `${key}: ${problem} ("${p}")`;
+        continue;
+      }
+      if (p.length > MAX_PATTERN_LENGTH) return `${key}: patterns are limited to ${MAX_PATTERN_LENGTH} characters`;
+      if (p.split('*').length - 1 > MAX_WILDCARDS) return `${key}: patterns are limited to ${MAX_WILDCARDS} wildcards ("${p}")`;
+    }
+  }
+  return null;
+}
+
+// Merge shop rules with the defaults and compile the patterns
+function resolveRules(shopRules) {
+  const r = shopRules || {};
+  const base = r.useDefaults === false ? { include: [], exclude: [], stripParams: [], respectCanonical: true } : DEFAULT_RULES;
+  const include = base.include.concat(r.include || []);
+  const exclude = base.exclude.concat(r.exclude || []);
+  const stripParams = base.stripParams.concat(r.stripParams || []);
+  return {
+    include: include.map(compilePattern),
+    exclude: exclude.map(compilePattern),
+    stripParams: stripParams.map(compilePattern),
+    respectCanonical: typeof r.respectCanonical === 'boolean' ? r.respectCanonical : base.respectCanonical,
+    source: { include, exclude, stripParams }
+  };
+}
+
+// optional locale prefix: /fr/products/..., /en-ca/collections/...
+const LOCALE = '(?:/[a-z]{2}(?:-[a-z]{2})?)?';
+const COLLECTION_PRODUCT = new RegExp(`^(${LOCALE})/collections/[^/]+(/products/[^/]+)$`, 'i');
+
+/**
+ * Apply query stripping and Shopify's canonical product path
+ * (/collections/x/products/y -> /products/y) to a URL object in place.
+ */
+function rewriteUrl(u, rules) {
+  for (const key of [...u.searchParams.keys()]) {
+    if (rules.stripParams.some(re => re.test(key))) u.searchParams.delete(key);
+  }
+  u.searchParams.sort();
+  const m = u.pathname.match(COLLECTION_PRODUCT);
+  if (m) u.pathname = m[1] + m[2];
+  return u;
+}
+
+function isAllowed(url, rules) {
+  let target;
+  try {
+    const u = new URL(url);
+    target = u.pathname + u.search;
+  } catch (e) {
+    return false;
+  }
+  if (rules.exclude.some(re => re.test(target))) return false;
+  return !rules.include.length || rules.include.some(re => re.test(target));
+}
+
+const TYPE_PATTERNS = [
+  ['product', new RegExp(`^${LOCALE}/products/`, 'i')],
+  ['collection', new RegExp(`^${LOCALE}/collections(/|$)`, 'i')],
+  ['blog', new RegExp(`^${LOCALE}/blogs/`, 'i')],
+  ['policy', new RegExp(`^${LOCALE}/policies/`, 'i')],
+  // FAQ, help and size-guide pages answer the same shopper questions as the policies
+  ['policy', new RegExp(`^${LOCALE}/pages/[^/]*(polic|privacy|terms|refund|return|shipping|delivery|legal|imprint|cookie|faq|help|size|warrant)`, 'i')]
+];
+
+/**
+ * Page type from the URL (Shopify paths, with or without a locale prefix),
+ * falling back to og:type for custom routes: product | collection | blog | policy | page.
+ */
+function classifyPage(url, hints = {}) {
+  let pathname = '';
+  try { pathname = new URL(url).pathname; } catch (e) { pathname = String(url || ''); }
+  for (const [type, re] of TYPE_PATTERNS) if (re.test(pathname)) return type;
+  if (/product/i.test(hints.ogType || '')) return 'product';
+  if (/article/i.test(hints.ogType || '')) return 'blog';
+  return 'page';
+}
+
+const PAGE_TYPES = ['product', 'collection', 'blog', 'policy', 'page'];
+
+module.exports = { DEFAULT_RULES, PAGE_TYPES, validateRules, resolveRules, rewriteUrl, isAllowed, classifyPage };
@@ -2,51 +2,127 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { scrape } = require('./scraper');
+const { scrape, httpAgents } = require('./scraper');
+const browserPool = require('./browserPool');
 const { URL } = require('url');
+const crypto = require('crypto');
 const robotsParser = require('robots-parser');
+const crawlRules = require('./crawlRules');
+const { STANDARD_POLICY_PATHS } = require('./policies');
 
 /**
  * Robust site crawler optimized for storefront scraping.
  * Features:
  * - Same-origin only
- * - Optional robots.txt respect (basic Disallow parsing)
+ * - Per-shop URL rules (opts.rules, see crawlRules.js): include/exclude patterns,
+ *   query-parameter stripping and canonical-link dedupe; pages get a type
+ *   (product, collection, blog, policy, page)
+ * - Optional robots.txt respect (robots-parser with our user agent: Allow/Disallow,
+ *   Crawl-delay per host, Sitemap: entries as seeds; skipped URLs are reported)
  * - BFS with depth and page limits
  * - Concurrency control (simple semaphore)
- * - Returns per-page metadata and aggregated text
+ * - Seeds from /sitemap.xml (incl. Shopify's nested product/collection sitemaps)
+ * - Incremental recrawls: given opts.previous (the stored pages) it sends
+ *   conditional requests, keeps unchanged pages and drops pages that 404/410;
+ *   pages store their same-origin `links`, so a kept page's links are still
+ *   followed without downloading it
+ * - Shopify's standard /policies/* pages are always fetched (opts.policyPages = false to skip);
+ *   a probe only uses a page of maxPages when the shop has that page
+ * - Boilerplate removal: text blocks repeated across most pages (menus, banners)
+ *   are dropped from page text; the learned blocks are returned as `boilerplate`
+ *   and can be passed back as opts.boilerplate for small incremental crawls
+ * - Cancellable via opts.signal (AbortSignal); opts.onProgress({ pagesCrawled, queued })
+ *   is called as pages complete
+ * - Returns per-page metadata, aggregated text, what changed and a crawl report
+ */
+
+/**
+ * Fetch and parse robots.txt for an origin. Rules and Crawl-delay are looked
+ * up for `userAgent` (robots-parser matches on its product token, e.g.
+ * "shopify-ai-crawler", falling back to the `*` group). A missing or
+ * unreachable robots.txt allows everything.
+ * Returns { robots, crawlDelay (seconds), sitemaps }.
  */
 async function fetchRobotsTxt(rootUrl, userAgent = '*') {
   try {
     console.log('fetchRobotsTxt: fetching robots.txt for', rootUrl);
     const robotsUrl = new URL('/robots.txt', rootUrl).toString();
-    const resp = await axios.get(robotsUrl, { timeout: 5000, validateStatus: () => true });
-    const body = resp.status === 200 ? resp.data : '';
+    const resp = await axios.get(robotsUrl, Object.assign({ timeout: 5000, validateStatus: () => true, headers: { 'User-Agent': userAgent }, responseType: 'text' }, httpAgents));
+    const body = resp.status === 200 && typeof resp.data === 'string' ? resp.data : '';
     const robots = robotsParser(robotsUrl, body);
-    const crawlDelay = robots.getCrawlDelay ? (robots.getCrawlDelay(userAgent) || 0) : 0;
-    console.log('fetchRobotsTxt: crawlDelay=', crawlDelay);
-    return { robots, crawlDelay };
+    const maxDelay = parseInt(process.env.CRAWL_MAX_DELAY_SECONDS || '30', 10);
+    const crawlDelay = Math.min(Number(robots.getCrawlDelay(userAgent)) || 0, maxDelay);
+    const sitemaps = robots.getSitemaps();
+    console.log('fetchRobotsTxt: status=', resp.status, 'crawlDelay=', crawlDelay, 'sitemaps=', sitemaps.length);
+    return { robots, crawlDelay, sitemaps };
   } catch (e) {
     console.log('fetchRobotsTxt: failed to fetch robots for', rootUrl, 'error:', e.message || e);
-    return { robots: null, crawlDelay: 0 };
+    return { robots: null, crawlDelay: 0, sitemaps: [] };
   }
 }
 
+// robots-parser answers undefined for URLs outside the robots.txt origin; those are not ours to block
 function isAllowedByRobots(robots, url, userAgent = '*') {
   try {
     if (!robots) return true;
-    return robots.isAllowed(url, userAgent);
+    return robots.isAllowed(url, userAgent) !== false;
   } catch (e) {
     return true;
   }
 }
 
-function normalizeUrl(base, href) {
+/**
+ * Page URLs listed in the site's sitemap, following sitemap indexes one level
+ * down (Shopify: sitemap.xml -> sitemap_products_1.xml, sitemap_pages_1.xml, ...).
+ * opts.sitemaps overrides the starting sitemaps (e.g. robots.txt Sitemap: lines).
+ * Returns [{ url, lastmod }] for same-origin URLs, at most opts.maxUrls.
+ */
+async function fetchSitemapUrls(rootOrigin, opts = {}) {
+  const maxUrls = opts.maxUrls || 1000;
+  const maxSitemaps = opts.maxSitemaps || 20;
+  const headers = { 'User-Agent': opts.userAgent || 'Shopify-AI-Crawler/1.0 (+https://example.com)' };
+  const out = [];
+  const seen = new Set();
+  const pending = opts.sitemaps && opts.sitemaps.length ? opts.sitemaps.slice() : [new URL('/sitemap.xml', rootOrigin).toString()];
+  let fetched = 0;
+  while (pending.length && fetched < maxSitemaps && out.length < maxUrls) {
+    const sitemapUrl = pending.shift();
+    fetched++;
+    try {
+      const resp = await axios.get(sitemapUrl, Object.assign({ timeout: 10000, headers, responseType: 'text' }, httpAgents));
+      const $ = cheerio.load(resp.data, { xmlMode: true });
+      $('sitemap > loc').each((_, el) => { pending.push($(el).text().trim()); });
+      $('url').each((_, el) => {
+        const nu = normalizeUrl(rootOrigin, $(el).children('loc').text().trim());
+        if (!nu || seen.has(nu) || out.length >= maxUrls) return;
+        try { if (new URL(nu).origin !== rootOrigin) return; } catch (e) { return; }
+        seen.add(nu);
+        out.push({ url: nu, lastmod: $(el).children('lastmod').text().trim() || null });
+      });
+    } catch (e) {
+      console.log('fetchSitemapUrls: failed for', sitemapUrl, e.message || e);
+    }
+  }
+  console.log('fetchSitemapUrls: found', out.length, 'urls in', fetched, 'sitemaps');
+  return out;
+}
+
+// Hash of the extracted content; HTML itself changes on every request (nonces, tokens)
+function contentHash(page) {
+  const parts = [page.title, page.h1, page.description, page.text];
+  // a price or stock change in the structured data is a change even when the text is not
+  if (page.structured) parts.push(JSON.stringify(page.structured));
+  return crypto.createHash('sha1').update(parts.join('\n')).digest('hex');
+}
+
+function normalizeUrl(base, href, rules) {
   try {
     // ignore anchors and javascript/mailto
     if (!href || href.startsWith('mailto:') || href.startsWith('javascript:') || href.startsWith('#')) return null;
     const u = new URL(href, base);
     // strip fragment
     u.hash = '';
+    if (rules) crawlRules.rewriteUrl(u, rules);
     // normalize: remove trailing slash for consistency except root
     let s = u.toString();
     if (s.endsWith('/') && u.pathname !== '/') s = s.replace(/\/$/, '');
@@ -56,116 +132,286 @@ function normalizeUrl(base, href) {
   }
 }
 
+const MAX_BOILERPLATE = 500;
+
+function blockKey(block) {
+  return block.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Text blocks that occur on at least CRAWL_BOILERPLATE_RATIO (default 0.5)
+ * of the pages' block lists. Fewer than CRAWL_BOILERPLATE_MIN_PAGES pages
+ * (an incremental crawl that fetched little) say nothing reliable, so the
+ * blocks learned by the previous crawl (opts.boilerplate) are used instead.
+ * Returns a Set of block keys.
+ */
+function detectBoilerplate(blockLists, opts = {}) {
+  const ratio = opts.boilerplateRatio || parseFloat(process.env.CRAWL_BOILERPLATE_RATIO || '0.5');
+  const minPages = opts.boilerplateMinPages || parseInt(process.env.CRAWL_BOILERPLATE_MIN_PAGES || '5', 10);
+  if (blockLists.length < minPages) return new Set(opts.boilerplate || []);
+  const counts = new Map();
+  for (const blocks of blockLists) {
+    for (const key of new Set(blocks.map(blockKey))) {
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  const threshold = Math.max(2, Math.ceil(blockLists.length * ratio));
+  return new Set([...counts].filter(([, n]) => n >= threshold).map(([key]) => key));
+}
+
 async function crawlSite(startUrl, opts = {}) {
-  console.log('crawlSite: start', startUrl, opts && Object.keys(opts).length ? opts : 'no-opts');
+  const logOpts = opts.previous ? Object.assign({}, opts, { previous: opts.previous.length }) : opts;
+  console.log('crawlSite: start', startUrl, Object.keys(logOpts).length ? logOpts : 'no-opts');
   const maxPages = opts.maxPages || 100;
   const maxDepth = opts.maxDepth || 4;
   const concurrency = opts.concurrency || 5;
   const userAgent = opts.userAgent || 'Shopify-AI-Crawler/1.0 (+https://example.com)';
   const respectRobots = typeof opts.respectRobots === 'boolean' ? opts.respectRobots : true;
+  const rules = crawlRules.resolveRules(opts.rules);
 
   const root = new URL(startUrl);
   const rootOrigin = root.origin;
 
-  const { disallow, crawlDelay } = respectRobots ? await fetchRobotsTxt(rootOrigin, '*') : { disallow: [], crawlDelay: 0 };
+  // robots.txt per host (the crawl is same-origin, so in practice one)
+  const robotsByHost = new Map();
+  if (respectRobots) robotsByHost.set(root.host, await fetchRobotsTxt(rootOrigin, userAgent));
+  const robotsFor = (host) => robotsByHost.get(host) || { robots: null, crawlDelay: 0, sitemaps: [] };
+  const { crawlDelay, sitemaps: robotsSitemaps } = robotsFor(root.host);
   console.log('crawlSite: robots parsed, crawlDelay=', crawlDelay);
 
+  const report = { robots: { respected: respectRobots, crawlDelay, sitemaps: robotsSitemaps }, skippedByRobots: [], skippedByRules: [], canonicalDuplicates: 0 };
+  const skipped = new Set();
+  const allowed = (url) => {
+    const host = new URL(url).host;
+    if (isAllowedByRobots(robotsFor(host).robots, url, userAgent)) return true;
+    if (!skipped.has(url)) {
+      skipped.add(url);
+      report.skippedByRobots.push(url);
+      console.log('crawlSite: disallowed by robots', url);
+    }
+    return false;
+  };
+
+  // Crawl-delay: space request starts to the same host at least that far apart
+  const nextSlot = new Map(); // host -> earliest start of the next request
+  async function pace(host) {
+    const delayMs = robotsFor(host).crawlDelay * 1000;
+    if (!delayMs) return;
+    const now = Date.now();
+    const at = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, at + delayMs);
+    if (at > now) await new Promise(r => setTimeout(r, at - now));
+  }
+
   const seen = new Set();
   const pages = [];
-  const queue = [{ url: startUrl, depth: 0 }];
+  const fetched = []; // { page, blocks, before } for pages downloaded in this crawl
+  const queue = [];
+  const queued = new Set();
+  const excluded = new Set();
+  // policy probes that found no page give their slot of the budget back
+  let probesQueued = 0;
+  let probesMissed = 0;
+  const spent = () => seen.size - probesMissed;
+  const enqueue = (href, depth, lastmod, probe) => {
+    const url = normalizeUrl(rootOrigin, href, rules);
+    if (!url || seen.has(url) || queued.has(url) || excluded.has(url)) return;
+    if (!probe && pages.length + queue.length - probesQueued >= maxPages) return;
+    if (!crawlRules.isAllowed(url, rules)) {
+      excluded.add(url);
+      // the report is for spotting over-broad rules; a sample is enough
+      if (report.skippedByRules.length < 200) report.skippedByRules.push(url);
+      return;
+    }
+    if (!allowed(url)) return;
+    queued.add(url);
+    if (probe) probesQueued++;
+    queue.push({ url, depth, lastmod: lastmod || null, probe: !!probe });
+  };
+  enqueue(startUrl, 0);
+  // Shopify's standard policy pages are not always linked; shops without one get a 404
+  if (opts.policyPages !== false) for (const p of STANDARD_POLICY_PATHS) enqueue(rootOrigin + p, 1, null, true);
 
-  let active = 0;
+  // previous crawl of this site, url -> page (with etag/lastModified/contentHash);
+  // pages stored under a URL the current rules rewrite or exclude are dropped
+  const changes = { added: [], changed: [], unchanged: [], removed: [] };
+  const previous = new Map();
+  for (const p of opts.previous || []) {
+    if (!p || !p.url) continue;
+    if (normalizeUrl(rootOrigin, p.url, rules) === p.url && crawlRules.isAllowed(p.url, rules)) previous.set(p.url, p);
+    else changes.removed.push(p.url);
+  }
+  const follow = (links, depth) => {
+    if (depth + 1 > maxDepth) return;
+    for (const href of links || []) enqueue(href, depth + 1);
+  };
+  // stored pages may be shared with the storage cache: copy instead of mutating.
+  // A page kept during the crawl (depth given) still leads to the pages it linked to
+  const keep = (prev, depth) => {
+    pages.push(prev.type ? prev : Object.assign({}, prev, { type: crawlRules.classifyPage(prev.url) }));
+    changes.unchanged.push(prev.url);
+    if (depth !== undefined) follow(prev.links, depth);
+  };
+
+  // sitemap pages first (the homepage may not link to every product), then what we had last time
+  if (opts.useSitemap !== false) {
+    const sitemap = await fetchSitemapUrls(rootOrigin, { userAgent, maxUrls: maxPages, sitemaps: robotsSitemaps });
+    for (const entry of sitemap) enqueue(entry.url, 1, entry.lastmod);
+  }
+  for (const url of previous.keys()) enqueue(url, 1);
 
   async function worker() {
     if (!queue.length) return;
-    if (seen.size >= maxPages) return;
+    if (spent() >= maxPages) return;
     const item = queue.shift();
     if (!item) return;
-    const { url, depth } = item;
+    const { url, depth, lastmod, probe } = item;
+    if (probe) probesQueued--;
     if (seen.has(url)) return;
     seen.add(url);
+    const prev = previous.get(url);
 
     try {
       console.log('crawlSite: worker processing', url, 'depth', depth);
       const u = new URL(url);
       if (u.origin !== rootOrigin) return;
-      if (!isAllowedByRobots(u.pathname, disallow)) {
-        console.log('crawlSite: disallowed by robots', url);
+
+      // the sitemap says it has not changed since we fetched it: no request needed
+      if (prev && prev.fetchedAt && lastmod && Date.parse(lastmod) <= prev.fetchedAt) {
+        keep(prev, depth);
         return;
       }
 
+      // only pages actually requested wait for a crawl-delay slot
+      await pace(u.host);
+
       // scrape visible text and metadata (allow Puppeteer render fallback for JS-heavy sites)
       const scraped = await scrape(url, {
         maxLength: opts.perPageMaxLength || 4000,
         userAgent,
         fallbackRender: opts.fallbackRender !== undefined ? opts.fallbackRender : true,
-        renderTimeout: opts.renderTimeout || 20000
+        renderTimeout: opts.renderTimeout || 20000,
+        etag: prev && prev.etag,
+        lastModified: prev && prev.lastModified
       });
 
       if (!scraped) console.log('crawlSite: scrape returned empty for', url);
       if (scraped && scraped.error) console.log('crawlSite: scrape error for', url, scraped.error);
 
+      if (prev && scraped.notModified) {
+        keep(prev, depth);
+        return;
+      }
+      const gone = scraped.status === 404 || scraped.status === 410;
+      if (probe && (gone || (!prev && scraped.error))) {
+        probesMissed++;
+        if (!gone) return;
+      }
+      if (gone) {
+        if (prev) changes.removed.push(url);
+        return;
+      }
+      // a transient failure should not wipe a page we already have
+      if (prev && scraped.error) {
+        keep(prev, depth);
+        return;
+      }
+
+      // variants of one page (?variant=, /collections/x/products/y) share a
+      // canonical URL: store the page under it, once
+      let pageUrl = url;
+      if (rules.respectCanonical && scraped.canonical) {
+        const canon = normalizeUrl(url, scraped.canonical, rules);
+        if (canon && canon !== url && new URL(canon).origin === rootOrigin && crawlRules.isAllowed(canon, rules)) {
+          if (seen.has(canon)) {
+            report.canonicalDuplicates++;
+            if (prev) changes.removed.push(url);
+            return;
+          }
+          seen.add(canon);
+          pageUrl = canon;
+          if (prev) changes.removed.push(url);
+        }
+      }
+      const before = previous.get(pageUrl);
+
+      // same-origin links found in the same response (or rendered DOM) the text came from
+      const links = new Set();
+      for (const href of scraped.links || []) {
+        const nu = normalizeUrl(url, href, rules);
+        if (nu && new URL(nu).origin === rootOrigin) links.add(nu);
+      }
+
       // fallback if scrape returned error
       const page = {
-        url,
+        url: pageUrl,
         title: scraped.title || '',
         h1: scraped.h1 || '',
         description: scraped.description || '',
-        text: scraped.text || ''
+        lang: scraped.lang || '',
+        text: scraped.text || '',
+        type: crawlRules.classifyPage(pageUrl, { ogType: scraped.ogType }),
+        structured: scraped.structured || null,
+        links: [...links],
+        etag: scraped.etag || null,
+        lastModified: scraped.lastModified || null,
+        fetchedAt: Date.now()
       };
-
       pages.push(page);
+      // hashed and sorted into changes once boilerplate is known (after the crawl)
+      fetched.push({ page, blocks: scraped.blocks || null, before });
 
-      // extract links from raw HTML for further crawling
-      try {
-        const resp = await axios.get(url, { timeout: 10000, headers: { 'User-Agent': userAgent } });
-        const $ = cheerio.load(resp.data);
-        if (depth + 1 <= maxDepth) {
-          $('a[href]').each((_, el) => {
-            const href = $(el).attr('href');
-            const nu = normalizeUrl(url, href);
-            if (!nu) return;
-            // same-origin only
-            try {
-              const nuObj = new URL(nu);
-              if (nuObj.origin !== rootOrigin) return;
-            } catch (e) { return; }
-            if (!seen.has(nu) && !queue.find(q => q.url === nu) && pages.length + queue.length < maxPages) {
-              queue.push({ url: nu, depth: depth + 1 });
-            }
-          });
-        }
-      } catch (e) {
-        console.log('crawlSite: link extraction failed for', url, e.message || e);
-        // ignore link extraction failures
-      }
+      follow(page.links, depth);
     } catch (err) {
       console.log('crawlSite: page processing error for', url, err && (err.message || err));
       // swallow page errors but continue
-    } finally {
-      // when finished, allow another worker to start
-      active--;
     }
   }
 
-  // simple concurrency loop
-  const runners = [];
-  while ((queue.length && seen.size < maxPages) || active > 0) {
-    while (active < concurrency && queue.length && seen.size < maxPages) {
-      active++;
-      runners.push(worker());
+  // concurrency loop: keep up to `concurrency` pages in flight and start the
+  // next one as soon as any finishes; workers wait for their host's crawl-delay slot
+  const inflight = new Set();
+  const cancelled = () => !!(opts.signal && opts.signal.aborted);
+  while ((queue.length && spent() < maxPages && !cancelled()) || inflight.size) {
+    while (inflight.size < concurrency && queue.length && spent() < maxPages && !cancelled()) {
+      const run = worker().finally(() => {
+        inflight.delete(run);
+        if (opts.onProgress) opts.onProgress({ pagesCrawled: pages.length, queued: queue.length });
+      });
+      inflight.add(run);
+    }
+    if (inflight.size) await Promise.race(inflight);
+  }
+
+  // drop text blocks repeated across most fetched pages (menus, announcement
+  // bars, newsletter forms) so the per-page budget goes to the page's own text;
+  // the start page keeps them so that text is still indexed once
+  const boilerplate = opts.stripBoilerplate === false ? new Set() : detectBoilerplate(fetched.map(f => f.blocks).filter(Boolean), opts);
+  const startKey = normalizeUrl(rootOrigin, startUrl, rules);
+  for (const { page, blocks, before } of fetched) {
+    if (blocks && boilerplate.size && page.url !== startKey) {
+      page.text = blocks.filter(b => !boilerplate.has(blockKey(b))).join(' ').replace(/\s+/g, ' ').trim().slice(0, opts.perPageMaxLength || 4000);
     }
-    // wait a short while for some workers to finish
-    // apply crawlDelay if set
-    const waitMs = Math.max(50, (crawlDelay && crawlDelay * 1000) || 50);
-    // eslint-disable-next-line no-await-in-loop
-    await new Promise(r => setTimeout(r, waitMs));
-    // if we have too many runners, let them settle
-    if (runners.length > 1000) await Promise.all(runners.splice(0, runners.length));
+    page.contentHash = contentHash(page);
+    if (!before) changes.added.push(page.url);
+    else if (before.contentHash === page.contentHash) changes.unchanged.push(page.url);
+    else changes.changed.push(page.url);
   }
+  report.boilerplateBlocks = boilerplate.size;
 
-  // ensure all in-flight runners finished
-  await Promise.all(runners);
+  if (cancelled()) {
+    console.log('crawlSite: cancelled after', pages.length, 'pages');
+    return { pages, aggregated: '', changes, report, cancelled: true };
+  }
+
+  // pages from last time we did not get to (page limit) are kept as they were,
+  // unless robots.txt now disallows them
+  const removed = new Set(changes.removed);
+  for (const [url, prev] of previous) {
+    if (seen.has(url) || removed.has(url)) continue;
+    if (skipped.has(url)) changes.removed.push(url);
+    else keep(prev);
+  }
 
   // build aggregated text (respect aggregate limit)
   const aggregateLimit = opts.aggregateMaxLength || 100000; // chars
@@ -175,9 +421,21 @@ async function crawlSite(startUrl, opts = {}) {
     aggregated += `\n\n# ${p.url}\n${p.title ? p.title + '\n' : ''}${p.h1 ? p.h1 + '\n' : ''}${p.text}\n`;
   }
 
-  console.log('crawlSite: finished', { pages: pages.length, aggregatedChars: aggregated.length });
+  console.log('crawlSite: finished', {
+    pages: pages.length,
+    aggregatedChars: aggregated.length,
+    added: changes.added.length,
+    changed: changes.changed.length,
+    unchanged: changes.unchanged.length,
+    removed: changes.removed.length,
+    skippedByRobots: report.skippedByRobots.length,
+    skippedByRules: excluded.size,
+    canonicalDuplicates: report.canonicalDuplicates,
+    boilerplateBlocks: boilerplate.size,
+    browser: browserPool.stats()
+  });
 
-  return { pages, aggregated };
+  return { pages, aggregated, changes, report, boilerplate: [...boilerplate].slice(0, MAX_BOILERPLATE) };
 }
 
-module.exports = { crawlSite };
+module.exports = { crawlSite, fetchSitemapUrls };
@@ -0,0 +1,192 @@
+// embeddings.js - chunk embeddings per shop, cosine similarity and hybrid ranking
+
+const crypto = require('crypto');
+const providers = require('./providers');
+
+/**
+ * Semantic matching next to the BM25 postings, so "something warm for
+ * winter" can find a fleece-lined hoodie. Chunks are embedded at crawl time
+ * through EMBEDDINGS_PROVIDER (openrouter, openai-compatible or mock; see
+ * providers.js) with EMBEDDINGS_MODEL or the provider's embedding model.
+ * Pointing openai-compatible at a local server (Ollama, llama.cpp,
+ * text-embeddings-inference) runs the embedding model on this host's CPU.
+ * Without EMBEDDINGS_PROVIDER, search and retrieval stay keyword-only.
+ *
+ * Stored per shop as `vectors`:
+ *   { provider, model, dims, items: [{ id, url, hash, v }] }
+ * where v is the unit-length vector as base64 float32 and hash the sha1 of
+ * the embedded text, so a recrawl only embeds chunks whose text changed.
+ * Search is brute-force cosine similarity (a dot product of unit vectors);
+ * a shop has a few thousand chunks at most, well within a linear scan.
+ */
+
+const decoded = new WeakMap(); // stored vectors field -> [{ id, url, v: Float32Array }]
+
+function config() {
+  const name = process.env.EMBEDDINGS_PROVIDER || null;
+  return {
+    name,
+    provider: name ? providers.getProvider(name) : null,
+    model: process.env.EMBEDDINGS_MODEL || undefined,
+    batchSize: Math.max(1, parseInt(process.env.EMBEDDINGS_BATCH_SIZE || '64', 10))
+  };
+}
+
+function enabled() {
+  const { provider } = config();
+  return !!(provider && provider.isConfigured());
+}
+
+// What gets embedded for a chunk: its page title gives short chunks context
+function chunkText(c) {
+  return `${c.title ? c.title + '\n' : ''}${c.text || ''}`;
+}
+
+function textHash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function normalize(vec) {
+  const norm = Math.sqrt(vec.reduce((s, x) => s + x * x, 0)) || 1;
+  return Float32Array.from(vec, x => x / norm);
+}
+
+function encode(vec) {
+  return Buffer.from(normalize(vec).buffer).toString('base64');
+}
+
+function decode(str) {
+  const buf = Buffer.from(str, 'base64');
+  return new Float32Array(buf.buffer, buf.byteOffset, buf.length / 4);
+}
+
+async function embedTexts(provider, texts, req) {
+  const out = [];
+  let model = null;
+  const { batchSize } = config();
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = texts.slice(i, i + batchSize);
+    const resp = await provider.embed(batch, req);
+    if (resp.vectors.length !== batch.length) throw new Error(`embeddings: expected ${batch.length} vectors, got ${resp.vectors.length}`);
+    out.push(...resp.vectors);
+    model = resp.model;
+  }
+  return { vectors: out, model };
+}
+
+/**
+ * Embed a shop's chunks, reusing vectors from `previous` (the stored
+ * `vectors` field) for chunks whose text is unchanged. Returns the new
+ * `vectors` field, or null when embeddings are off or the provider failed;
+ * callers then keep what still applies of the stored one (retainVectors).
+ */
+async function embedChunks(chunks, previous, { signal } = {}) {
+  const cfg = config();
+  if (!enabled()) return null;
+  const model = cfg.model || null;
+  const reusable = new Map();
+  if (previous && previous.provider === cfg.name && (!model || previous.model === model)) {
+    for (const item of previous.items || []) reusable.set(item.hash, item.v);
+  }
+  const items = (chunks || []).map(c => {
+    const text = chunkText(c);
+    const hash = textHash(text);
+    return { id: c.id, url: c.url, hash, v: reusable.get(hash) || null, text };
+  });
+  const missing = items.filter(it => !it.v);
+  try {
+    let usedModel = previous && reusable.size ? previous.model : model;
+    if (missing.length) {
+      const { vectors, model: m } = await embedTexts(cfg.provider, missing.map(it => it.text), { model, signal });
+      missing.forEach((it, i) => { it.v = encode(vectors[i]); });
+      usedModel = m;
+    }
+    console.log('embeddings: embedded', missing.length, 'chunks, reused', items.length - missing.length, 'model=', usedModel);
+    const dims = items.length ? decode(items[0].v).length : 0;
+    return { provider: cfg.name, model: usedModel, dims, items: items.map(({ text, ...it }) => it) };
+  } catch (e) {
+    console.error('embeddings: embedding chunks failed', e.message || e);
+    return null;
+  }
+}
+
+/**
+ * The part of a stored `vectors` field that still describes `chunks`: items
+ * whose chunk id still exists with the same text. Used when a re-index could
+ * not embed, so search never scores chunks or pages that are gone. Returns
+ * null when nothing is left.
+ */
+function retainVectors(previous, chunks) {
+  if (!previous || !previous.items) return null;
+  const current = new Map((chunks || []).map(c => [c.id, textHash(chunkText(c))]));
+  const items = previous.items.filter(it => current.get(it.id) === it.hash);
+  return items.length ? Object.assign({}, previous, { items }) : null;
+}
+
+function rows(vectors) {
+  if (!decoded.has(vectors)) decoded.set(vectors, (vectors.items || []).map(it => ({ id: it.id, url: it.url, v: decode(it.v) })));
+  return decoded.get(vectors);
+}
+
+/**
+ * Embed a query with the provider and model the shop's vectors were made
+ * with. Returns a unit Float32Array, or null when the shop has no vectors
+ * from the configured provider or it fails (search then uses keywords only).
+ */
+async function embedQuery(text, vectors) {
+  if (!vectors || !vectors.items || !vectors.items.length) return null;
+  // vectors left from before EMBEDDINGS_PROVIDER was unset or changed are not used
+  if (config().name !== vectors.provider) return null;
+  const provider = providers.getProvider(vectors.provider);
+  if (!provider || !provider.isConfigured()) return null;
+  try {
+    const timeoutMs = parseInt(process.env.EMBEDDINGS_QUERY_TIMEOUT_MS || '5000', 10);
+    const resp = await provider.embed([text], { model: vectors.model, signal: AbortSignal.timeout(timeoutMs) });
+    const vec = resp.vectors[0];
+    if (!vec || vec.length !== vectors.dims) return null;
+    return normalize(vec);
+  } catch (e) {
+    console.error('embeddings: query embedding failed', e.message || e);
+    return null;
+  }
+}
+
+/**
+ * Cosine similarity of every stored chunk to the query vector.
+ * opts.byUrl scores pages instead: each page gets its best chunk's score.
+ * Returns a Map of chunk id (or url) -> similarity.
+ */
+function similarities(vectors, queryVector, opts = {}) {
+  const out = new Map();
+  if (!vectors || !queryVector) return out;
+  for (const row of rows(vectors)) {
+    if (row.v.length !== queryVector.length) continue;
+    let dot = 0;
+    for (let i = 0; i < row.v.length; i++) dot += row.v[i] * queryVector[i];
+    const key = opts.byUrl ? row.url : row.id;
+    if (!out.has(key) || out.get(key) < dot) out.set(key, dot);
+  }
+  return out;
+}
+
+/**
+ * Hybrid ranking: keyword scores scaled to 0..1 by the best one, blended
+ * with cosine similarity by HYBRID_SEMANTIC_WEIGHT (default 0.5). Documents
+ * only the embeddings found must reach EMBEDDINGS_MIN_SIMILARITY (default
+ * 0.3) so every query does not match every chunk. Returns a Map of id -> score.
+ */
+function hybridScores(keyword, semantic) {
+  if (!semantic || !semantic.size) return keyword;
+  const weight = parseFloat(process.env.HYBRID_SEMANTIC_WEIGHT || '0.5');
+  const minSim = parseFloat(process.env.EMBEDDINGS_MIN_SIMILARITY || '0.3');
+  const maxKeyword = Math.max(0, ...keyword.values()) || 1;
+  const out = new Map();
+  for (const [id, sim] of semantic) {
+    if (!keyword.has(id) && sim < minSim) continue;
+    out.set(id, weight * Math.max(0, sim));
+  }
+  for (const [id, score] of keyword) out.set(id, (out.get(id) || 0) + (1 - weight) * score / maxKeyword);
+  return out;
+}
+
+module.exports = { enabled, embedChunks, retainVectors, embedQuery, similarities, hybridScores };
@@ -8,19 +8,26 @@ const crawler = require('./crawler');
 const storage = require('./storage');
 const tokens = require('./tokens');
 const indexer = require('./indexer');
-// This server is configured to use OpenRouter as the sole LLM provider.
+const retriever = require('./retriever');
+const analyzer = require('./analyzer');
+const search = require('./search');
+const sse = require('./sse');
+const conversations = require('./conversations');
+const catalog = require('./catalog');
+const tools = require('./tools');
+const crawlJobs = require('./crawlJobs');
+const crawlRules = require('./crawlRules');
+const structuredData = require('./structuredData');
+const policies = require('./policies');
+const browserPool = require('./browserPool');
+const snapshots = require('./snapshots');
+const embeddings = require('./embeddings');
+const webhooks = require('./webhooks');
+// LLM providers (OpenRouter, OpenAI-compatible servers, offline mock) live in providers.js.
+const providers = require('./providers');
+const resilience = require('./resilience');
 dotenv.config();
 
-// Optional HTTPS agent to reuse sockets and allow TLS tweaks. NOTE: setting
-// `rejectUnauthorized: false` disables certificate verification and is a
-// security risk; only use if you understand the implications (e.g. in a
-// controlled test environment). It does not fix DNS resolution errors.
-const https = require('https');
-const defaultHttpsAgent = new https.Agent({
-  keepAlive: true,
-  rejectUnauthorized: false,
-});
-
 // Optional: force Node's DNS resolver to use specific servers. This affects
 // Node's internal resolver calls (dns.resolve etc.) but may not affect the
 // OS-level getaddrinfo used by some network stacks. Use with caution.
@@ -36,6 +43,9 @@ if (process.env.FORCE_DNS === '1' || process.env.FORCE_DNS === 'true') {
 }
 
 const app = express();
+// Webhook HMACs are computed over the exact bytes Shopify sent, so that
+// route gets the raw body (express.json then leaves it alone)
+app.use('/api/webhooks', express.raw({ type: '*/*', limit: '5mb' }));
 app.use(express.json());
 
 // Allow all origins for development purposes.
@@ -53,6 +63,143 @@ app.use(cors({
 
 const shops = {};
 
+// Build the keyword index and retrieval chunks over a shop's documents
+// (crawled pages plus synced catalog pages) so every path persists the same
+// shape of shop data. The analyzer language is taken from `lang`
+// (request/config), INDEX_LANGUAGE, or the pages' <html lang>, and stored so
+// queries are analyzed the same way.
+function chunkOptions() {
+  return {
+    chunkSize: parseInt(process.env.CHUNK_SIZE || '800', 10),
+    chunkOverlap: parseInt(process.env.CHUNK_OVERLAP || '150', 10)
+  };
+}
+
+function indexShopData(data, lang) {
+  const chunkOpts = chunkOptions();
+  const docs = indexer.knowledgePages(data);
+  const indexLang = analyzer.normalizeLang(lang) || analyzer.normalizeLang(process.env.INDEX_LANGUAGE) || analyzer.detectLanguage(data.pages);
+  const chunks = indexer.chunkPages(docs, chunkOpts);
+  return Object.assign({}, data, {
+    lang: indexLang,
+    index: indexer.buildIndex(docs, { lang: indexLang }),
+    docStats: indexer.buildDocStats(docs, { lang: indexLang }),
+    chunks,
+    chunkIndex: indexer.buildChunkIndex(chunks, { lang: indexLang })
+  });
+}
+
+// Index a fresh crawl together with the catalog pages already stored for the shop.
+// An incremental crawl (result.changes) only re-indexes the pages that changed.
+function indexCrawlResult(shop, result, lang) {
+  const existing = storage.readShopData(shop) || {};
+  const data = Object.assign(existing.catalogPages ? { catalogPages: existing.catalogPages } : {}, result);
+  const indexLang = analyzer.normalizeLang(lang) || analyzer.normalizeLang(process.env.INDEX_LANGUAGE) || existing.lang || analyzer.detectLanguage(result.pages);
+  const c = result.changes;
+  const canPatch = c && existing.index && existing.docStats && existing.chunks && existing.chunkIndex && existing.lang === indexLang;
+  if (!canPatch) return indexShopData(data, lang);
+  const touched = new Set([...c.added, ...c.changed, ...c.removed]);
+  console.log('indexCrawlResult: incremental update for', shop, { added: c.added.length, changed: c.changed.length, removed: c.removed.length });
+  return Object.assign(data, { lang: indexLang }, indexer.updateIndexes(existing, indexer.knowledgePages(data), touched, Object.assign({ lang: indexLang }, chunkOptions())));
+}
+
+// Embed the indexed chunks for semantic search (see embeddings.js); chunks whose
+// text is unchanged reuse the stored vectors. When embeddings are off or the
+// provider fails, the stored vectors are kept as they are.
+async function embedIndexed(shop, indexed, signal) {
+  const previous = (storage.readShopData(shop, ['vectors']) || {}).vectors || null;
+  const vectors = await embeddings.embedChunks(indexed.chunks, previous, { signal });
+  indexed.vectors = vectors || embeddings.retainVectors(previous, indexed.chunks);
+  return indexed;
+}
+
+// Sync the Admin API catalog for an installed shop and re-index its stored
+// pages with it. Returns the product/collection counts.
+async function syncShopCatalog(shop) {
+  const synced = await catalog.syncCatalog(shop);
+  const existing = storage.readShopData(shop) || {};
+  const indexed = await embedIndexed(shop, indexShopData(Object.assign({}, existing, synced), existing.lang));
+  // pages are unchanged; drop them from the write so lastCrawledAt is kept
+  delete indexed.pages;
+  storage.writeShopData(shop, indexed);
+  return { products: synced.catalog.products.length, collections: synced.catalog.collections.length };
+}
+
+// Store a catalog changed by a webhook. Only catalog pages whose text changed,
+// appeared or disappeared are re-indexed and re-embedded; crawled pages and
+// lastCrawledAt stay as they are. Returns the number of pages touched.
+async function storeCatalogUpdate(shop, existing, nextCatalog) {
+  const nextPages = catalog.catalogPages(shop, nextCatalog);
+  const before = new Map((existing.catalogPages || []).map(p => [p.url, p.text]));
+  const after = new Set(nextPages.map(p => p.url));
+  const changed = nextPages.filter(p => before.get(p.url) !== p.text).map(p => p.url);
+  for (const url of before.keys()) if (!after.has(url)) changed.push(url);
+  const data = Object.assign({}, existing, { catalog: nextCatalog, catalogPages: nextPages });
+  // catalog pages are merged into the crawled page of the same path
+  // (indexer.knowledgePages), so touch the documents by path
+  const paths = new Set(changed.map(indexer.urlPath));
+  const docs = indexer.knowledgePages(data).concat(indexer.knowledgePages(existing));
+  const touched = new Set(docs.map(d => d.url).filter(u => paths.has(indexer.urlPath(u))));
+  if (!touched.size) {
+    storage.writeShopData(shop, { catalog: nextCatalog });
+    return 0;
+  }
+  const canPatch = existing.index && existing.docStats && existing.chunks && existing.chunkIndex && existing.lang;
+  const indexed = canPatch
+    ? Object.assign(data, indexer.updateIndexes(existing, indexer.knowledgePages(data), touched, Object.assign({ lang: existing.lang }, chunkOptions())))
+    : indexShopData(data, existing.lang);
+  // pages are unchanged; drop them from the write so lastCrawledAt is kept
+  delete indexed.pages;
+  await embedIndexed(shop, indexed);
+  storage.writeShopData(shop, indexed);
+  return touched.size;
+}
+
+// App uninstalled: forget the token, stop and drop crawl jobs, delete stored data
+function purgeShop(shop) {
+  const removedToken = tokens.deleteToken(shop);
+  const jobs = crawlJobs.forgetShop(shop);
+  const removedData = storage.deleteShopData(shop);
+  delete shops[shop];
+  console.log(`Purged ${shop}`, { token: removedToken, jobs, data: removedData });
+}
+
+/**
+ * Apply one verified webhook delivery. Product and collection events
+ * re-fetch the object from the Admin API (payloads can arrive out of order,
+ * the API has the current state) and patch the stored catalog; a shop with
+ * no stored catalog gets a full sync instead.
+ */
+async function handleWebhook(topic, shop, payload) {
+  if (topic === 'app/uninstalled') return purgeShop(shop);
+  if (!tokens.getToken(shop)) {
+    console.log(`Webhook ${topic} for ${shop} ignored: no access token`);
+    return;
+  }
+  const existing = storage.readShopData(shop) || {};
+  if (!existing.catalog) {
+    const counts = await syncShopCatalog(shop);
+    console.log(`Webhook ${topic}: full catalog sync for ${shop}`, counts);
+    return;
+  }
+  let next;
+  if (topic === 'products/create' || topic === 'products/update') {
+    const id = webhooks.productGid(payload);
+    next = webhooks.withProduct(existing.catalog, id, await catalog.fetchProduct(shop, id));
+  } else if (topic === 'products/delete') {
+    next = webhooks.withProduct(existing.catalog, webhooks.productGid(payload), null);
+  } else if (topic === 'collections/update') {
+    const fetched = await catalog.fetchCollection(shop, webhooks.collectionGid(payload));
+    if (!fetched) return;
+    next = webhooks.withCollection(existing.catalog, fetched);
+  } else {
+    console.log(`Webhook ${topic} for ${shop} not handled`);
+    return;
+  }
+  const touched = await storeCatalogUpdate(shop, existing, next);
+  console.log(`Webhook ${topic} applied for ${shop}`, { pagesReindexed: touched });
+}
+
 // Health check
 app.get("/", (req, res) => res.send("Shopify AI Assistant Backend!"));
 
@@ -65,7 +212,7 @@ app.get("/api/auth/shopify", (req, res) => {
     }
 
     const redirectUri = process.env.SHOPIFY_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/auth/callback`;
-    const url = shopify.buildInstallUrl(shop, process.env.SHOPIFY_SCOPES || 'read_products,write_script_tags', redirectUri);
+    const url = shopify.buildInstallUrl(shop, process.env.SHOPIFY_SCOPES || 'read_products,read_inventory,write_script_tags', redirectUri);
     return res.redirect(url);
   } catch (err) {
     console.error('oauth start error', err);
@@ -90,7 +237,7 @@ app.get('/api/auth/callback', async (req, res) => {
     console.log(`Installed on ${shop}`, { scope: tokenResp.scope });
     // After OAuth install, call Shopify Admin API to create ScriptTag
     await axios.post(
-      `https://${shop}/admin/api/2025-07/script_tags.json`,
+      `https://${shop}/admin/api/${shopify.apiVersion()}/script_tags.json`,
       {
         script_tag: {
           event: "onload",
@@ -105,33 +252,38 @@ app.get('/api/auth/callback', async (req, res) => {
       }
     );
 
-    // Optionally perform a background crawl of the storefront to index pages.
-    // Enable by setting AUTO_CRAWL_ON_INSTALL=true in env. This runs async and stores results in memory (shops[shop].pages).
+    // Optionally queue a background crawl of the storefront to index pages.
+    // Enable by setting AUTO_CRAWL_ON_INSTALL=true in env; progress via GET /api/crawl-jobs/:id.
     try {
       if (process.env.AUTO_CRAWL_ON_INSTALL === 'true') {
-        (async () => {
-          try {
-            const site = `https://${shop}`;
-            const crawlOpts = {
-              maxPages: parseInt(process.env.CRAWL_MAX_PAGES || '100', 10),
-              maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || '4', 10),
-              concurrency: parseInt(process.env.CRAWL_CONCURRENCY || '5', 10),
-              perPageMaxLength: parseInt(process.env.CRAWL_PER_PAGE_MAX || '4000', 10),
-              aggregateMaxLength: parseInt(process.env.CRAWL_AGGREGATE_MAX || '100000', 10),
-              respectRobots: true
-            };
-            const crawlResult = await crawler.crawlSite(site, crawlOpts);
-            shops[shop].pages = crawlResult.pages;
-            shops[shop].aggregated = crawlResult.aggregated;
-            // build index and persist combined data (include installedAt metadata)
-            const idx = indexer.buildIndex(crawlResult.pages);
-            storage.writeShopData(shop, Object.assign({}, crawlResult, { index: idx, installedAt: shops[shop].installedAt }));
-            console.log(`Crawl finished for ${shop}: pages=${crawlResult.pages.length}`);
-          } catch (e) { console.error('background crawl error', e); }
-        })();
+        const job = performCrawlForShop(shop, 'install', { installedAt: shops[shop].installedAt });
+        console.log(`Crawl queued for ${shop}`, job.id);
       }
     } catch (e) { console.error('auto crawl schedule error', e); }
 
+    // Subscribe to product/collection/uninstall webhooks (see webhooks.js) at
+    // SHOPIFY_WEBHOOK_URL, the public https URL of /api/webhooks (behind a
+    // proxy the request's own host and protocol are not it); disable with
+    // REGISTER_WEBHOOKS_ON_INSTALL=false.
+    if (process.env.REGISTER_WEBHOOKS_ON_INSTALL !== 'false') {
+      const webhookUrl = process.env.SHOPIFY_WEBHOOK_URL;
+      if (!webhookUrl) {
+        console.log(`Webhook registration skipped for ${shop}: SHOPIFY_WEBHOOK_URL is not set`);
+      } else {
+        webhooks.register(shop, tokenResp.access_token, webhookUrl)
+          .then(out => { if (out.failed.length) console.error(`Webhook registration failed for ${shop}`, out.failed); })
+          .catch(e => console.error('webhook registration failed', e.message || e));
+      }
+    }
+
+    // Sync products/variants/collections from the Admin API in the background
+    // (disable with AUTO_CATALOG_SYNC_ON_INSTALL=false).
+    if (process.env.AUTO_CATALOG_SYNC_ON_INSTALL !== 'false') {
+      syncShopCatalog(shop)
+        .then(counts => console.log(`Catalog synced for ${shop}`, counts))
+        .catch(e => console.error('catalog sync on install failed', e.message || e));
+    }
+
     // For a real app, redirect to the embedded admin UI. For now, show success.
     return res.send(`App installed on ${shop}. You can close this window.`);
   } catch (err) {
@@ -143,32 +295,20 @@ app.get('/api/auth/callback', async (req, res) => {
 // Scrape endpoint (simplified). Expects JSON { url }
 app.post("/api/scrape", async (req, res) => {
   try {
-    const { url, crawl, maxPages, maxDepth, concurrency } = req.body;
-    console.log('/api/scrape: request', { url, crawl, maxPages, maxDepth, concurrency });
+    const { url, crawl, maxPages, maxDepth, concurrency, lang } = req.body;
+    console.log('/api/scrape: request', { url, crawl, maxPages, maxDepth, concurrency, lang });
     if (!url || !/^https?:\/\//.test(url)) return res.status(400).json({ error: 'Invalid url' });
 
   if (crawl) {
-      // Crawl the whole site (same-origin), return aggregated content and per-page metadata
-      const opts = {
+      // Crawl the whole site (same-origin) as a background job; the index is stored under the
+      // URL's host. Poll GET /api/crawl-jobs/:id for progress.
+      const opts = Object.assign(defaultCrawlOpts(), {
         maxPages: maxPages || parseInt(process.env.CRAWL_MAX_PAGES || '100', 10),
         maxDepth: maxDepth || parseInt(process.env.CRAWL_MAX_DEPTH || '4', 10),
-        concurrency: concurrency || parseInt(process.env.CRAWL_CONCURRENCY || '5', 10),
-        perPageMaxLength: parseInt(process.env.CRAWL_PER_PAGE_MAX || '4000', 10),
-        aggregateMaxLength: parseInt(process.env.CRAWL_AGGREGATE_MAX || '100000', 10),
-        respectRobots: true
-      };
-      const result = await crawler.crawlSite(url, opts);
-      // build index for result and persist optionally if shop host detected
-      try {
-        const idx = indexer.buildIndex(result.pages);
-        // if it's a shop host, persist
-        try {
-          const host = new URL(url).host;
-          storage.writeShopData(host, Object.assign({}, result, { index: idx }));
-        } catch (e) { /* ignore non-host URLs */ }
-        result.index = idx;
-      } catch (e) { console.error('index build failed', e); }
-      return res.json({ data: result });
+        concurrency: concurrency || parseInt(process.env.CRAWL_CONCURRENCY || '5', 10)
+      });
+      const job = queueCrawl(new URL(url).host, url, { kind: 'scrape', crawlOpts: opts, lang });
+      return res.status(202).json({ job, statusUrl: `/api/crawl-jobs/${job.id}` });
     }
 
     const data = await scraper.scrape(url);
@@ -179,30 +319,112 @@ app.post("/api/scrape", async (req, res) => {
   }
 });
 
-// Chat API endpoint (stub)
-
-// Store results in memory for now (replace with DB if needed)
-let storeScrapeCache = {};
-
 app.post('/api/scrape-store', async (req, res) => {
-  const { baseUrl } = req.body;
-  console.log('/api/scrape-store: request', { baseUrl });
+  const { baseUrl, lang } = req.body;
+  console.log('/api/scrape-store: request', { baseUrl, lang });
   if (!baseUrl || !/^https?:\/\/.+myshopify\.com/.test(baseUrl)) {
     return res.status(400).json({ error: "Invalid Shopify store URL" });
   }
   try {
-    const crawlOpts = { maxPages: 50, maxDepth: 3, concurrency: 4, respectRobots: true };
-    const result = await crawler.crawlSite(baseUrl, crawlOpts);
-    // build index and persist
-    const idx = indexer.buildIndex(result.pages);
     const host = new URL(baseUrl).host;
-    storage.writeShopData(host, Object.assign({}, result, { index: idx }));
-    storeScrapeCache[baseUrl] = result;
-    return res.json({ status: 'Store scraped', pageCount: result.pages.length });
+    const crawlOpts = Object.assign(defaultCrawlOpts(), { maxPages: 50, maxDepth: 3, concurrency: 4, previous: previousPages(host) });
+    const job = queueCrawl(host, baseUrl, { kind: 'store', crawlOpts, lang });
+    return res.status(202).json({ status: 'Store crawl queued', job, statusUrl: `/api/crawl-jobs/${job.id}` });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
+
+// Crawl jobs: list (optionally per shop), status/progress of one job, cancel
+app.get('/api/crawl-jobs', (req, res) => {
+  return res.json({ jobs: crawlJobs.list(req.query.shop || null) });
+});
+
+app.get('/api/crawl-jobs/:id', (req, res) => {
+  const job = crawlJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Crawl job not found' });
+  return res.json({ job });
+});
+
+app.post('/api/crawl-jobs/:id/cancel', (req, res) => {
+  const job = crawlJobs.cancel(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Crawl job not found' });
+  return res.json({ job });
+});
+
+// Per-shop crawl rules (include/exclude patterns, stripped query params,
+// canonical handling). Stored with the shop data and used by its next crawl.
+app.get('/api/crawl-rules', (req, res) => {
+  const shop = req.query.shop;
+  if (!shop) return res.status(400).json({ error: 'shop query param required' });
+  const rules = (storage.readShopData(shop, ['crawlRules']) || {}).crawlRules || null;
+  const effective = crawlRules.resolveRules(rules);
+  return res.json({ rules, effective: Object.assign({ respectCanonical: effective.respectCanonical }, effective.source) });
+});
+
+app.put('/api/crawl-rules', (req, res) => {
+  const { shop, rules } = req.body || {};
+  if (!shop || !rules || typeof rules !== 'object') return res.status(400).json({ error: 'shop and rules required' });
+  const invalid = crawlRules.validateRules(rules);
+  if (invalid) return res.status(400).json({ error: 'Invalid pattern', details: invalid });
+  // only shops that are stored or installed; a typo must not create a record
+  if (!storage.readShopData(shop, ['crawlRules']) && !tokens.getToken(shop)) return res.status(404).json({ error: 'No stored data for shop' });
+  const effective = crawlRules.resolveRules(rules);
+  const stored = {
+    useDefaults: rules.useDefaults !== false,
+    include: rules.include || [],
+    exclude: rules.exclude || [],
+    stripParams: rules.stripParams || []
+  };
+  if (typeof rules.respectCanonical === 'boolean') stored.respectCanonical = rules.respectCanonical;
+  storage.writeShopData(shop, { crawlRules: stored });
+  return res.json({ rules: stored, effective: Object.assign({ respectCanonical: effective.respectCanonical }, effective.source) });
+});
+
+// Crawl snapshots: list them, diff two of them, roll back to one.
+// Rolling back re-indexes the snapshot's pages with the shop's current
+// catalog and makes it the active snapshot (rejected crawls included); like
+// a crawl, it resets the shop's lastCrawledAt.
+app.get('/api/snapshots', (req, res) => {
+  const shop = req.query.shop;
+  if (!shop) return res.status(400).json({ error: 'shop query param required' });
+  const activeId = (storage.readShopData(shop, ['activeSnapshot']) || {}).activeSnapshot || null;
+  return res.json({ activeSnapshot: activeId, snapshots: snapshots.list(shop, activeId) });
+});
+
+// `to` defaults to the active snapshot and `from` to the snapshot before `to`
+app.get('/api/snapshots/diff', (req, res) => {
+  const shop = req.query.shop;
+  if (!shop) return res.status(400).json({ error: 'shop query param required' });
+  const activeId = (storage.readShopData(shop, ['activeSnapshot']) || {}).activeSnapshot || null;
+  const all = snapshots.list(shop, activeId);
+  const toId = req.query.to || activeId;
+  const toPos = all.findIndex(s => s.id === toId);
+  const fromId = req.query.from || (toPos >= 0 && all[toPos + 1] ? all[toPos + 1].id : null);
+  if (!toId || !fromId) return res.status(400).json({ error: 'from and to snapshots required (not enough snapshots to default them)' });
+  const from = snapshots.get(shop, fromId);
+  const to = snapshots.get(shop, toId);
+  if (!from || !to) return res.status(404).json({ error: 'Snapshot not found' });
+  const strip = ({ content, ...meta }) => meta;
+  return res.json(Object.assign({ from: strip(from), to: strip(to) }, snapshots.diff(from, to)));
+});
+
+app.post('/api/snapshots/rollback', async (req, res) => {
+  const { shop, snapshotId } = req.body || {};
+  if (!shop || !snapshotId) return res.status(400).json({ error: 'shop and snapshotId required' });
+  if (crawlJobs.activeFor(shop)) return res.status(409).json({ error: 'A crawl is running for this shop; cancel it or wait before rolling back' });
+  const snap = snapshots.get(shop, snapshotId);
+  if (!snap) return res.status(404).json({ error: 'Snapshot not found' });
+  const existing = storage.readShopData(shop, ['catalogPages']) || {};
+  const indexed = await embedIndexed(shop, indexShopData(Object.assign({}, snap.content, existing.catalogPages ? { catalogPages: existing.catalogPages } : {}), snap.lang));
+  // stale crawl bookkeeping from the replaced crawl
+  Object.assign(indexed, { activeSnapshot: snap.id, changes: null, report: null });
+  if (!storage.writeShopData(shop, indexed)) return res.status(500).json({ error: 'Failed to store rolled back data' });
+  console.log('/api/snapshots/rollback:', shop, 'now at', snap.id, 'pages=', snap.pageCount);
+  const { content, ...meta } = snap;
+  return res.json({ activeSnapshot: snap.id, snapshot: meta });
+});
+
 // Widget config endpoint - returns whether the store has stored aggregated content
 app.get('/api/widget-config', (req, res) => {
   try {
@@ -211,7 +433,7 @@ app.get('/api/widget-config', (req, res) => {
     console.log('/api/widget-config: shop detected', shop);
     let cfg = { apiBase: process.env.PUBLIC_APP_URL || '', useStored: false };
     if (shop) {
-      const data = storage.readShopData(shop);
+      const data = storage.readShopData(shop, ['aggregated']);
       if (data && data.aggregated && data.aggregated.length > 100) cfg.useStored = true;
     }
     return res.json(cfg);
@@ -247,41 +469,184 @@ app.get('/widget/chat-widget.js', (req, res) => {
     return res.json({ data });
   });
 
-  // Search endpoint using built index
-  app.get('/api/search', (req, res) => {
+  // Search endpoint using built index (BM25 over pages, multi-term queries),
+  // blended with embedding similarity when the shop has chunk vectors
+  app.get('/api/search', async (req, res) => {
     const { shop, q } = req.query;
     if (!shop || !q) return res.status(400).json({ error: 'shop and q required' });
-    const data = storage.readShopData(shop);
+    const data = storage.readShopData(shop, ['lang', 'index', 'docStats', 'pages', 'catalogPages', 'vectors']);
     if (!data || !data.index) return res.status(404).json({ error: 'No index for shop' });
-    const term = q.toLowerCase().trim();
-    const postings = data.index[term] || [];
-    return res.json({ results: postings.slice(0, 20) });
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 50);
+    // type=product,collection narrows results to those page types
+    const queryVector = await embeddings.embedQuery(String(q), data.vectors);
+    const results = search.searchPages(data, String(q), { limit, types: pageTypes(req.query.type), queryVector });
+    return res.json({ results, mode: queryVector ? 'hybrid' : 'keyword' });
+  });
+
+  // Re-sync the product catalog (products, variants, inventory, collections)
+  // from the Admin GraphQL API; needs the shop's stored OAuth token.
+  app.post('/api/catalog/sync', async (req, res) => {
+    const { shop } = req.body || {};
+    if (!shop) return res.status(400).json({ error: 'shop required' });
+    if (!tokens.getToken(shop)) return res.status(404).json({ error: 'No access token for shop; install the app first' });
+    try {
+      const counts = await syncShopCatalog(shop);
+      return res.json(Object.assign({ status: 'Catalog synced' }, counts));
+    } catch (e) {
+      console.error('/api/catalog/sync failed', shop, e.message || e);
+      return res.status(502).json({ error: 'Catalog sync failed', details: e.message });
+    }
   });
 
+// Shopify webhooks (products/*, collections/update, app/uninstalled). The
+// delivery is acknowledged once verified and applied in the background,
+// one at a time per shop; Shopify retries anything not answered quickly.
+app.post('/api/webhooks', (req, res) => {
+  const raw = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!shopify.verifyWebhookHmac(raw, req.get('X-Shopify-Hmac-Sha256'))) {
+    return res.status(401).send('HMAC verification failed');
+  }
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain');
+  if (!topic || !shop) return res.status(400).send('Missing topic or shop');
+  let payload;
+  try {
+    payload = JSON.parse(raw.toString('utf8') || '{}');
+  } catch (e) {
+    return res.status(400).send('Invalid JSON body');
+  }
+  res.status(200).send('ok');
+  const deliveryId = req.get('X-Shopify-Webhook-Id');
+  if (webhooks.isDuplicate(deliveryId)) {
+    console.log(`Webhook ${topic} for ${shop}: duplicate delivery skipped`);
+    return;
+  }
+  webhooks.serialize(shop, () => handleWebhook(topic, shop, payload))
+    .then(() => webhooks.markDelivered(deliveryId))
+    .catch(e => {
+      console.error(`Webhook ${topic} failed for ${shop}`, e.message || e);
+      // the delivery was acknowledged, so Shopify will not resend it: resync the whole catalog instead
+      if (topic === 'app/uninstalled' || !tokens.getToken(shop)) return;
+      webhooks.serialize(shop, () => syncShopCatalog(shop))
+        .then(counts => console.log(`Webhook ${topic}: full catalog sync for ${shop} after failure`, counts))
+        .catch(err => console.error(`Catalog sync after failed webhook failed for ${shop}`, err.message || err));
+    });
+});
+
+
+
+
+
+
+
+// Send a complete answer either as JSON or, for streaming clients, as a
+// single token event followed by the final metadata event.
+function replyOnce(res, wantsStream, payload) {
+  if (!wantsStream) return res.json(Object.assign({ sources: [], products: [], excerpt: null }, payload));
+  const send = sse.openEventStream(res);
+  send('token', { delta: payload.answer });
+  send('done', Object.assign({ model: null, usage: null, sources: [], products: [], excerpt: null }, payload));
+  return res.end();
+}
 
+// A policy excerpt quoted verbatim with its source, e.g. 'Refund policy: "..." [2]'
+function quotedAnswer(excerpt) {
+  return `${excerpt.title ? excerpt.title + ': ' : ''}"${excerpt.text}"${excerpt.n ? ` [${excerpt.n}]` : ''}`;
+}
 
+// Best matching sentence of the context for the question, used when no LLM
+// is configured or every model failed. Returns null when nothing matches.
+function keywordAnswer(contextText, question, lang) {
+  if (!contextText) return null;
+  const qWords = new Set(indexer.tokenize(question, lang || 'en'));
+  // skip the "[n] title (url)" source headers; only page text is a useful answer
+  const sentences = contextText.split('\n').filter(l => !/^\[\d+\] /.test(l)).join('\n')
+    .split(/[\.\n]+/).map(s => s.trim()).filter(Boolean);
+  let best = { score: 0, sent: '' };
+  for (const s of sentences) {
+    let score = 0;
+    for (const w of new Set(indexer.tokenize(s, lang || 'en'))) if (qWords.has(w)) score++;
+    if (score > best.score) best = { score, sent: s };
+  }
+  return best.score > 0 ? `From the site: ${best.sent}` : null;
+}
 
+// Page types requested as an array or a comma-separated string; unknown types are ignored
+function pageTypes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(t => String(t).trim().toLowerCase()).filter(t => crawlRules.PAGE_TYPES.includes(t));
+}
 
+// Shop a storefront request belongs to: explicit header, then the page URL, then Origin.
+function shopFromRequest(req, url) {
+  try {
+    const urlHost = url ? new URL(url).host : null;
+    const originHost = req.get('Origin') ? new URL(req.get('Origin')).host : null;
+    return req.get('X-Shop-Domain') || urlHost || originHost || null;
+  } catch (e) {
+    return req.get('X-Shop-Domain') || null;
+  }
+}
 
+// Prior turns of a conversation so the widget can redraw history after navigation
+app.get('/api/conversations/:id', (req, res) => {
+  const convo = conversations.get(req.params.id, shopFromRequest(req, null));
+  if (!convo) return res.status(404).json({ error: 'Conversation not found or expired' });
+  return res.json({ conversationId: convo.id, turns: conversations.history(convo.id) });
+});
 
 app.post("/api/ask", async (req, res) => {
   try {
-    const { question, url } = req.body || {};
+    const { question, url, apiKey } = req.body || {};
     console.log('API ask received', { question: question ? question.slice(0,30) : null, url });
     if (!question || typeof question !== 'string') return res.status(400).json({ error: 'question is required' });
 
     // If useStored=true, prefer server-side persisted aggregated content for the shop
     const useStored = req.body.useStored === true || req.get('X-Use-Stored') === '1';
+    const contextBudget = parseInt(process.env.ASK_CONTEXT_TOKENS || '1500', 10);
+    // stream=true (or Accept: text/event-stream) relays the answer as Server-Sent Events
+    const wantsStream = req.body.stream === true || /text\/event-stream/.test(req.get('Accept') || '');
     let contextText = '';
+    let sources = []; // numbered pages the context came from: [{ n, url, title, snippet }]
+    // shipping/returns/refunds/sizing questions rank policy pages and FAQ pairs higher and
+    // get the best matching policy sentence quoted: { text, url, title, n }
+    const policyQuestion = policies.isPolicyQuestion(question);
+    let excerpt = null;
+    let shopLang = null; // analyzer language of the stored index, if any
+    const shop = shopFromRequest(req, url);
+    // continue the widget's conversation (or start one) so follow-ups see earlier turns
+    const convo = conversations.getOrCreate(req.body.conversationId, shop);
+    const priorTurns = conversations.history(convo.id);
+    const lastQuestion = [...priorTurns].reverse().find(t => t.role === 'user');
+    // stored shop data also carries the synced catalog the product tools run against
+    const shopData = shop ? storage.readShopData(shop, ['lang', 'pages', 'chunks', 'chunkIndex', 'catalog', 'catalogPages', 'aggregated', 'vectors']) : null;
+    const useTools = tools.enabled(shopData);
+    if (shopData) shopLang = shopData.lang || null;
     if (useStored) {
       try {
-        const shopHeader = req.get('X-Shop-Domain');
-        const originHost = req.get('Origin') ? new URL(req.get('Origin')).host : null;
-        const urlHost = url ? (new URL(url).host) : null;
-        const shop = shopHeader || urlHost || originHost;
         if (shop) {
-          const data = storage.readShopData(shop);
-          if (data && data.aggregated) contextText = data.aggregated;
+          const data = shopData;
+          if (data && data.pages && data.pages.length) {
+            // rank stored chunks against the question and keep the best ones within budget;
+            // follow-ups ("what about in blue?") are searched together with the previous question
+            const topK = parseInt(process.env.ASK_TOP_K || '6', 10);
+            const retrievalQuery = lastQuestion ? `${lastQuestion.content} ${question}` : question;
+            const queryVector = await embeddings.embedQuery(retrievalQuery, data.vectors);
+            const ranked = retriever.retrieve(data, retrievalQuery, { topK, types: pageTypes(req.body.types), preferTypes: policyQuestion ? ['policy'] : null, preferFaq: policyQuestion, queryVector });
+            // product facts (price, stock, SKU) from the page's structured data go with
+            // whichever of its chunks was retrieved
+            const structuredByUrl = new Map(data.pages.filter(p => p.structured).map(p => [p.url, p.structured]));
+            const built = retriever.buildContext(ranked, contextBudget, {
+              factsFor: (pageUrl) => structuredData.factsText(structuredByUrl.get(pageUrl), { faq: false })
+            });
+            contextText = built.text;
+            sources = built.sources;
+            if (policyQuestion) {
+              excerpt = policies.bestExcerpt(built.chunks, question, shopLang);
+              if (excerpt) excerpt.n = (sources.find(s => s.url === excerpt.url) || {}).n || null;
+            }
+          }
+          if (!contextText && data && data.aggregated) contextText = data.aggregated;
         }
       } catch (e) { console.error('useStored fetch error', e); }
     }
@@ -289,70 +654,112 @@ app.post("/api/ask", async (req, res) => {
     if (!contextText && url) {
       try {
         const scraped = await scraper.scrape(url, { maxLength: 4000, renderFallback: true });
-        if (scraped && scraped.text) contextText = scraped.text;
+        if (scraped && scraped.text) {
+          const facts = structuredData.factsText(scraped.structured);
+          contextText = `[1] ${scraped.title ? scraped.title + ' ' : ''}(${url})\n${facts ? facts + '\n' : ''}${scraped.text}`;
+          sources = [{ n: 1, url, title: scraped.title || '', snippet: retriever.snippetOf(scraped.text) }];
+        }
       } catch (e) { console.error('live scrape error', e); }
     }
 
-    // Determine available providers and keys
+    // Resolve the LLM provider: request `provider`, per-shop config, AI_PROVIDER, then OpenRouter
     const providedApiKey = apiKey || null;
-    const hasOpenRouter = !!(providedApiKey || process.env.OPENROUTER_API_KEY);
-    console.log('/api/ask: using OpenRouter', { keyPresent: hasOpenRouter, useStored });
-
-    if (!hasOpenRouter) {
-      // Fallback: basic keyword match against scraped text
-      if (contextText) {
-        const qWords = question.toLowerCase().split(/\W+/).filter(Boolean);
-        const sentences = contextText.split(/[\.\n]+/).map(s => s.trim()).filter(Boolean);
-        let best = { score: 0, sent: '' };
-        for (const s of sentences) {
-          const sl = s.toLowerCase();
-          let score = 0;
-          for (const w of qWords) if (w.length > 2 && sl.includes(w)) score++;
-          if (score > best.score) best = { score, sent: s };
-        }
-        if (best.score > 0) return res.json({ answer: `From the site: ${best.sent}` });
+    let { name: providerName, provider } = providers.resolveProvider({ requested: req.body.provider, shop });
+    if (!providerName && providedApiKey) { providerName = 'openrouter'; provider = providers.getProvider('openrouter'); }
+    if (providerName && !provider) return res.status(400).json({ error: `Unknown provider ${providerName}`, available: providers.listProviders() });
+    const providerReady = !!(provider && provider.isConfigured({ apiKey: providedApiKey }));
+    console.log('/api/ask: provider', { provider: providerName, ready: providerReady, useStored });
+
+    if (!providerReady) {
+      // Fallback: the policy excerpt, or a basic keyword match against scraped text
+      const fallbackAnswer = excerpt ? quotedAnswer(excerpt) : keywordAnswer(contextText, question, shopLang);
+      if (fallbackAnswer) {
+        conversations.recordExchange(convo.id, question, fallbackAnswer);
+        return replyOnce(res, wantsStream, { answer: fallbackAnswer, sources, excerpt, conversationId: convo.id });
       }
-      return res.json({ answer: 'No AI provider configured. Set OPENROUTER_API_KEY in server env, or send apiKey in the request.' });
+      return replyOnce(res, wantsStream, { answer: 'No AI provider configured. Set OPENROUTER_API_KEY (or AI_PROVIDER) in server env, or send apiKey in the request.', conversationId: convo.id });
     }
 
-    // Build prompt for LLM using any scraped context (truncate to safe size)
-    const maxContext = 3000;
+    // Build prompt for LLM; retrieved context already fits the budget, live scrapes are truncated to it
+    const maxContext = contextBudget * 4;
     const contextForPrompt = contextText ? contextText.slice(0, maxContext) : '';
-    const systemPrompt = 'You are a helpful assistant that answers questions only using the provided website content when available. If the answer is not in the content, say you don\'t know.';
+    const systemPrompt = 'You are a helpful assistant that answers questions only using the provided website content when available. If the answer is not in the content, say you don\'t know.' +
+      (sources.length ? ' The content is split into numbered sources like [1]; cite the sources you used by number, e.g. "Shipping is free over $100 [2]."' : '') +
+      (useTools ? ' For products, prices, sizes and stock, look them up with the catalog tools and refer to products by their exact title.' : '') +
+      (excerpt ? ' For shipping, returns, refunds and sizing questions, quote the relevant policy sentence word for word in quotation marks and cite it.' : '');
     const userPrompt = `Question: ${question}\n\nWebsite content:\n${contextForPrompt}`;
 
-    let answer = null;
+    const llmReq = {
+      model: req.body?.model || undefined,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...priorTurns,
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.2,
+      maxTokens: 500,
+      apiKey: providedApiKey
+    };
 
-    // OpenRouter primary branch
+    // Every model failed or is circuit-broken: answer from the stored content instead of erroring
+    const degrade = (err) => {
+      console.error(`${providerName} unavailable, degrading to keyword answer`, err?.response?.status || err.message || err, err.attempts || []);
+      const fallbackAnswer = (excerpt && quotedAnswer(excerpt)) || keywordAnswer(contextText, question, shopLang) ||
+        'Sorry, the assistant is temporarily unavailable. Please try again in a moment.';
+      conversations.recordExchange(convo.id, question, fallbackAnswer);
+      return { answer: fallbackAnswer, sources, excerpt, conversationId: convo.id, degraded: true };
+    };
+    const models = provider.modelChain(llmReq.model);
+    // a caller's own key has its own quota: keep it out of the server key's circuit breakers,
+    // and only configured models get one (req.body.model is free text)
+    const breaker = !providedApiKey;
+    const breakerModels = provider.configuredModels();
+    // One model call through the fallback chain; with a catalog the tool loop
+    // makes several (lookups first, then the answer)
+    const answerWith = (call, chainOpts) => {
+      const viaChain = (r) => resilience.runModelChain(models, (model) => call(Object.assign({}, r, { model })), chainOpts).then(out => out.result);
+      if (!useTools) return viaChain(llmReq).then(result => Object.assign({ cards: [] }, result));
+      return tools.runToolLoop(viaChain, llmReq, { catalog: shopData.catalog, shop, lang: shopLang });
+    };
+
+    if (wantsStream) {
+      // Relay provider deltas as they arrive; abort upstream if the shopper goes away.
+      // The event stream is opened on the first delta, so failures before any output
+      // can still move on to the next model (or degrade) without the shopper noticing.
+      const controller = new AbortController();
+      res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+      let send = null;
+      try {
+        const result = await answerWith((r) =>
+          provider.stream(Object.assign({}, r, { signal: controller.signal }), (delta) => {
+            if (!send) send = sse.openEventStream(res);
+            send('token', { delta });
+          }), { providerName, breaker, breakerModels, canRetry: () => !send });
+        if (!send) return replyOnce(res, true, degrade(new Error('empty answer')));
+        conversations.recordExchange(convo.id, question, result.text);
+        send('done', { answer: result.text, model: result.model, provider: providerName, usage: result.usage, sources, products: result.cards, excerpt, conversationId: convo.id });
+      } catch (e) {
+        if (controller.signal.aborted) return res.end();
+        if (!send) return replyOnce(res, true, degrade(e));
+        console.error(`${providerName} stream error`, e.message || e);
+        send('error', { error: 'Answer stream interrupted' });
+      }
+      return res.end();
+    }
+
+    let answer = null;
+    let products = [];
     try {
-      const model = req.body?.model || process.env.OPENROUTER_MODEL || 'google/gemini-flash-1.5';
-      console.log('openrouter: request model=', model);
-      const baseOpenRouterUrl = 'https://openrouter.ai/api/v1/chat/completions';
-      const openrouterUrl = (process.env.OPENROUTER_RELAY_PREFIX || '') + baseOpenRouterUrl;
-      console.log('openrouter: using URL', openrouterUrl);
-      const routerKey =  process.env.OPENROUTER_API_KEY;
-      const resp = await axios.post(openrouterUrl, {
-        model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.2,
-        max_tokens: 500
-      }, {
-        headers: { Authorization: `Bearer ${routerKey}`, 'Content-Type': 'application/json' },
-        httpsAgent: defaultHttpsAgent,
-        timeout: 20000
-      });
-      answer = resp?.data?.choices?.[0]?.message?.content || resp?.data?.choices?.[0]?.message || resp?.data?.choices?.[0]?.text || null;
-      if (typeof answer === 'object' && answer?.length) answer = Array.isArray(answer) ? answer.map(a => a?.text || a).join('\n') : (answer?.text || JSON.stringify(answer));
+      const result = await answerWith((r) => provider.complete(r), { providerName, breaker, breakerModels });
+      answer = result.text;
+      products = result.cards;
     } catch (orErr) {
-      console.error('openrouter error', orErr?.response?.data || orErr.message || orErr);
-      return res.status(502).json({ error: 'OpenRouter API error', detail: orErr?.response?.data || orErr.message });
+      return res.json(degrade(orErr));
     }
     
-    if (!answer) return res.status(500).json({ error: 'No answer from AI provider' });
-    return res.json({ answer });
+    if (!answer) return res.json(degrade(new Error('empty answer')));
+    conversations.recordExchange(convo.id, question, answer);
+    return res.json({ answer, sources, products, excerpt, conversationId: convo.id });
   } catch (err) {
     console.error('ask error', err?.response?.data || err.message || err);
     return res.status(500).json({ error: 'Failed to get answer', detail: err?.response?.data || err.message });
@@ -362,32 +769,94 @@ app.post("/api/ask", async (req, res) => {
 // Server listen
 const PORT = process.env.PORT || 3000;
 // Simple scheduled crawler: runs periodically and re-crawls shops older than threshold
-const crawlingShops = {};
 
-async function performCrawlForShop(shop) {
-  if (crawlingShops[shop]) return;
-  crawlingShops[shop] = true;
-  try {
-    console.log(`Scheduled crawl starting for ${shop}`);
-    const site = `https://${shop}`;
-    const crawlOpts = {
-      maxPages: parseInt(process.env.CRAWL_MAX_PAGES || '100', 10),
-      maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || '4', 10),
-      concurrency: parseInt(process.env.CRAWL_CONCURRENCY || '5', 10),
-      perPageMaxLength: parseInt(process.env.CRAWL_PER_PAGE_MAX || '4000', 10),
-      aggregateMaxLength: parseInt(process.env.CRAWL_AGGREGATE_MAX || '100000', 10),
-      respectRobots: true
-    };
-    const result = await crawler.crawlSite(site, crawlOpts);
-    const idx = indexer.buildIndex(result.pages);
-    // persist; storage.writeShopData will merge existing installedAt
-    storage.writeShopData(shop, Object.assign({}, result, { index: idx }));
-    console.log(`Scheduled crawl finished for ${shop}: pages=${result.pages.length}`);
-  } catch (e) {
-    console.error(`Scheduled crawl failed for ${shop}`, e);
-  } finally {
-    crawlingShops[shop] = false;
-  }
+// Stored pages to recrawl incrementally from (conditional requests, unchanged pages kept);
+// CRAWL_INCREMENTAL=false forces full recrawls
+function previousPages(shop) {
+  if (process.env.CRAWL_INCREMENTAL === 'false') return [];
+  const data = storage.readShopData(shop, ['pages']);
+  return (data && data.pages) || [];
+}
+
+function defaultCrawlOpts() {
+  return {
+    maxPages: parseInt(process.env.CRAWL_MAX_PAGES || '100', 10),
+    maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || '4', 10),
+    concurrency: parseInt(process.env.CRAWL_CONCURRENCY || '5', 10),
+    perPageMaxLength: parseInt(process.env.CRAWL_PER_PAGE_MAX || '4000', 10),
+    aggregateMaxLength: parseInt(process.env.CRAWL_AGGREGATE_MAX || '100000', 10),
+    respectRobots: true
+  };
+}
+
+/**
+ * Queue a background crawl of `site` whose indexed result is stored for
+ * `shop` (see crawlJobs.js). `extra` fields are stored along with it and
+ * `afterCrawl` runs once the pages are saved. Every finished crawl is kept as
+ * a snapshot; one losing too many pages is not promoted (see snapshots.js)
+ * and the job result says so. Returns the job record; a shop that already
+ * has a queued/running crawl gets that job back.
+ */
+function queueCrawl(shop, site, { kind, crawlOpts, lang, extra, afterCrawl } = {}) {
+  return crawlJobs.enqueue({
+    shop,
+    url: site,
+    kind,
+    task: async (job, { signal, onProgress }) => {
+      const stored = storage.readShopData(shop, ['crawlRules', 'boilerplate']) || {};
+      // the shop's URL rules and the boilerplate blocks its last crawl learned
+      const perShop = { rules: stored.crawlRules, boilerplate: stored.boilerplate };
+      const result = await crawler.crawlSite(site, Object.assign(perShop, crawlOpts || defaultCrawlOpts(), { signal, onProgress }));
+      const summary = {
+        pageCount: result.pages.length,
+        added: result.changes.added.length,
+        changed: result.changes.changed.length,
+        unchanged: result.changes.unchanged.length,
+        removed: result.changes.removed.length,
+        skippedByRobots: result.report.skippedByRobots.length,
+        skippedByRules: result.report.skippedByRules.length,
+        canonicalDuplicates: result.report.canonicalDuplicates,
+        boilerplateBlocks: result.report.boilerplateBlocks
+      };
+      // a cancelled crawl is partial; keep what was stored before
+      if (result.cancelled) return summary;
+      const live = storage.readShopData(shop, ['pages', 'aggregated', 'boilerplate', 'lang', 'activeSnapshot']) || {};
+      const baseline = snapshots.ensureBaseline(shop, live);
+      const activeId = live.activeSnapshot || (baseline && baseline.id) || null;
+      const loss = snapshots.checkPageLoss((live.pages || []).length, result.pages.length);
+      const snapMeta = { jobId: job.id, kind };
+      if (!loss.ok) {
+        const reason = `Crawl lost ${Math.round(loss.lossShare * 100)}% of ${live.pages.length} pages (limit ${Math.round(loss.maxLoss * 100)}%)`;
+        const snap = snapshots.create(shop, result, Object.assign(snapMeta, { status: 'rejected', lang: lang || live.lang || null, reason }));
+        if (snap) snapshots.prune(shop, activeId);
+        console.warn(`Crawl for ${shop} not promoted: ${reason}`);
+        return Object.assign(summary, { promoted: false, reason, snapshotId: snap ? snap.id : null });
+      }
+      const indexed = await embedIndexed(shop, indexCrawlResult(shop, result, lang), signal);
+      // cancelled while embedding: like any cancelled crawl, nothing is stored
+      if (signal.aborted) return summary;
+      const snap = snapshots.create(shop, result, Object.assign(snapMeta, { lang: indexed.lang }));
+      storage.writeShopData(shop, Object.assign(indexed, extra || {}, snap ? { activeSnapshot: snap.id } : {}));
+      if (snap) snapshots.prune(shop, snap.id);
+      Object.assign(summary, { promoted: true, snapshotId: snap ? snap.id : null });
+      console.log(`Crawl finished for ${shop} (${kind}):`, summary);
+      if (afterCrawl) await afterCrawl();
+      return summary;
+    }
+  });
+}
+
+function performCrawlForShop(shop, kind = 'scheduled', extra) {
+  return queueCrawl(shop, `https://${shop}`, {
+    kind,
+    extra,
+    crawlOpts: Object.assign(defaultCrawlOpts(), { previous: previousPages(shop) }),
+    // refresh prices and stock along with the pages for installed shops
+    afterCrawl: async () => {
+      if (!tokens.getToken(shop)) return;
+      try { await syncShopCatalog(shop); } catch (e) { console.error(`Catalog sync failed for ${shop}`, e.message || e); }
+    }
+  });
 }
 
 async function runScheduledCrawls() {
@@ -398,13 +867,12 @@ async function runScheduledCrawls() {
     const shopFiles = storage.listShops();
     for (const sf of shopFiles) {
       // sf is the filename (without .json) as produced by listShops(), which returns sanitized names
-      const data = storage.readShopData(sf);
+      const data = storage.readShopData(sf, ['lastCrawledAt', 'installedAt']);
       if (!data) continue;
       const last = data.lastCrawledAt || data.installedAt || 0;
       if (!last || (now - last) >= thresholdMs) {
-        // Kick off crawl but don't block the loop (perform sequentially to avoid overload)
-        // We'll await to pace things, but protect from long-running overlap via crawlingShops
-        await performCrawlForShop(sf);
+        // queued as a job; the job queue runs crawls one at a time and skips shops already crawling
+        performCrawlForShop(sf);
       }
     }
   } catch (e) { console.error('runScheduledCrawls error', e); }
@@ -429,9 +897,40 @@ app.get('/api/debug-provider', (req, res) => {
   try {
     const hasOpenRouter = !!process.env.OPENROUTER_API_KEY;
     const openrouterModel = process.env.OPENROUTER_MODEL || null;
-    const providerDefault = process.env.AI_PROVIDER || (hasOpenRouter ? 'openrouter' : null);
-    return res.json({ providerDefault, hasOpenRouter, openrouterModel });
+    const providerDefault = providers.defaultProviderName();
+    const available = providers.listProviders().map(name => {
+      const p = providers.getProvider(name);
+      return { name, configured: p.isConfigured({}), defaultModel: p.defaultModel };
+    });
+    // ?shop= and ?provider= show what /api/ask would pick for that shop/request
+    const resolved = providers.resolveProvider({ requested: req.query.provider, shop: req.query.shop });
+    return res.json({
+      providerDefault,
+      hasOpenRouter,
+      openrouterModel,
+      available,
+      requestAllowlist: providers.requestAllowlist(),
+      resolved: { name: resolved.name, source: resolved.source, known: !!resolved.provider },
+      modelChain: resolved.provider ? resolved.provider.modelChain(req.query.model) : [],
+      breakers: resilience.breakerStates()
+    });
   } catch (e) {
     return res.status(500).json({ error: 'debug error', detail: e.message });
   }
 });
+
+// Process diagnostics: storage backend and shop-data cache hit/miss counters,
+// crawl jobs by status, the render browser pool and memory use
+app.get('/api/diagnostics', (req, res) => {
+  const jobs = crawlJobs.list();
+  const byStatus = {};
+  for (const j of jobs) byStatus[j.status] = (byStatus[j.status] || 0) + 1;
+  const mem = process.memoryUsage();
+  return res.json({
+    uptimeSeconds: Math.round(process.uptime()),
+    memoryMb: { rss: Math.round(mem.rss / 1048576), heapUsed: Math.round(mem.heapUsed / 1048576) },
+    storage: { backend: storage.backendName(), cache: storage.cacheStats() },
+    crawlJobs: byStatus,
+    browser: browserPool.stats()
+  });
+});
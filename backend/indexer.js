@@ -1,21 +1,26 @@
 // indexer.js - simple inverted index builder
 
-function tokenize(text) {
-  return (text || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(Boolean)
-    .filter(t => t.length > 2);
+const analyzer = require('./analyzer');
+const structuredData = require('./structuredData');
+
+// Tokenize with the analyzer for `lang`; without a lang this is the original
+// ASCII tokenizer, which is what indexes stored without a `lang` were built with.
+function tokenize(text, lang) {
+  return analyzer.getAnalyzer(lang).tokenize(text);
+}
+
+// Searchable text of a page-shaped document: title, h1, text and any FAQ pairs
+function pageBody(p) {
+  const faq = (p.structured && p.structured.faq) || [];
+  return `${p.title || ''} ${p.h1 || ''} ${p.text || ''}${faq.map(f => ` ${f.question} ${f.answer}`).join('')}`;
 }
 
-function buildIndex(pages) {
-  console.log('indexer: building index for', (pages && pages.length) || 0, 'pages');
+function buildIndex(pages, opts = {}) {
+  console.log('indexer: building index for', (pages && pages.length) || 0, 'pages', 'lang=', opts.lang || 'legacy');
   // pages: [{url, title, h1, text}]
   const index = {}; // token -> { url -> count }
   for (const p of pages) {
-    const body = `${p.title || ''} ${p.h1 || ''} ${p.text || ''}`;
-    const toks = tokenize(body);
+    const toks = tokenize(pageBody(p), opts.lang);
     const counts = {};
     for (const t of toks) counts[t] = (counts[t] || 0) + 1;
     for (const [t, c] of Object.entries(counts)) {
@@ -31,4 +36,170 @@ function buildIndex(pages) {
   return index;
 }
 
-module.exports = { buildIndex };
+// Path without trailing slash: catalog and crawled pages of one product share it
+function urlPath(u) {
+  try { return new URL(u).pathname.replace(/\/$/, ''); } catch (e) { return u; }
+}
+
+/**
+ * All page-shaped documents of a shop: crawled pages plus the catalog pages
+ * synced from the Admin API (see catalog.js). When both exist for the same
+ * path the catalog text (prices, variants, stock) goes first and the crawled
+ * text is kept after it. Product facts a page carried as structured
+ * data (price, stock, SKU; see structuredData.js) are put in front of its
+ * text so they are searchable and land in its first chunk; its FAQ pairs
+ * become chunks of their own (chunkPages).
+ */
+function knowledgePages(data) {
+  const pages = ((data && data.pages) || []).map(p => {
+    const facts = structuredData.factsText(p.structured, { faq: false });
+    return facts ? Object.assign({}, p, { text: `${facts}\n${p.text || ''}` }) : p;
+  });
+  const extra = (data && data.catalogPages) || [];
+  if (!extra.length) return pages;
+  const byPath = new Map(extra.map(p => [urlPath(p.url), p]));
+  const merged = pages.map(p => {
+    const c = byPath.get(urlPath(p.url));
+    if (!c) return p;
+    byPath.delete(urlPath(p.url));
+    return Object.assign({}, p, { type: c.type, text: `${c.text}\n${p.text || ''}` });
+  });
+  return merged.concat([...byPath.values()]);
+}
+
+/**
+ * Per-page token counts for BM25 length normalisation over the page index.
+ * Counts the same body that buildIndex tokenizes.
+ */
+function buildDocStats(pages, opts = {}) {
+  const lengths = {};
+  let total = 0;
+  for (const p of pages || []) {
+    const n = tokenize(pageBody(p), opts.lang).length;
+    lengths[p.url] = n;
+    total += n;
+  }
+  const count = (pages && pages.length) || 0;
+  return { lengths, avgLength: count ? total / count : 0, count };
+}
+
+/**
+ * Split page text into overlapping word windows so retrieval can pick the
+ * relevant part of a page instead of its first few thousand characters.
+ * Each chunk keeps its page url/title so answers can point back to it.
+ * FAQ pairs (structured.faq) are one chunk each, so a question and its
+ * answer are always retrieved together.
+ */
+function chunkPages(pages, opts = {}) {
+  const size = opts.chunkSize || 800; // chars per chunk
+  const overlap = opts.chunkOverlap || 150; // chars repeated from the previous chunk
+  const chunks = [];
+  for (const p of pages || []) {
+    const faq = (p.structured && p.structured.faq) || [];
+    faq.forEach((f, i) => {
+      chunks.push({ id: `${p.url}#faq${i}`, url: p.url, title: p.title || '', h1: p.h1 || '', type: p.type, text: `Q: ${f.question}\nA: ${f.answer}` });
+    });
+    // scripts without spaces (e.g. Japanese) yield huge "words"; cut them to chunk size
+    const words = [];
+    for (const w of (p.text || '').split(/\s+/)) {
+      for (let i = 0; i < w.length; i += size) words.push(w.slice(i, i + size));
+    }
+    let start = 0;
+    let n = 0;
+    while (start < words.length) {
+      let end = start;
+      let len = 0;
+      while (end < words.length && len + words[end].length + 1 <= size) len += words[end++].length + 1;
+      if (end === start) end++; // a single word longer than the chunk size
+      chunks.push({ id: `${p.url}#${n++}`, url: p.url, title: p.title || '', h1: p.h1 || '', type: p.type, text: words.slice(start, end).join(' ') });
+      if (end >= words.length) break;
+      // step back so the next chunk starts `overlap` chars before this one ended
+      let next = end;
+      let back = 0;
+      while (next > start + 1 && back + words[next - 1].length + 1 <= overlap) back += words[--next].length + 1;
+      start = next;
+    }
+  }
+  console.log('indexer: chunked', (pages && pages.length) || 0, 'pages into', chunks.length, 'chunks');
+  return chunks;
+}
+
+/**
+ * Build postings over chunks plus the per-chunk token counts BM25 needs.
+ * Returns { postings: token -> [{id, count}], lengths: id -> tokens, avgLength, count }
+ */
+function buildChunkIndex(chunks, opts = {}) {
+  const postings = {};
+  const lengths = {};
+  let total = 0;
+  for (const c of chunks || []) {
+    const toks = tokenize(`${c.title || ''} ${c.h1 || ''} ${c.text || ''}`, opts.lang);
+    lengths[c.id] = toks.length;
+    total += toks.length;
+    const counts = {};
+    for (const t of toks) counts[t] = (counts[t] || 0) + 1;
+    for (const [t, n] of Object.entries(counts)) {
+      postings[t] = postings[t] || [];
+      postings[t].push({ id: c.id, count: n });
+    }
+  }
+  const count = (chunks && chunks.length) || 0;
+  return { postings, lengths, avgLength: count ? total / count : 0, count };
+}
+
+// Copy of token -> postings without the entries whose `key` is in `ids`
+function withoutPostings(postings, ids, key) {
+  const out = {};
+  for (const [t, list] of Object.entries(postings || {})) {
+    const kept = ids.size ? list.filter(p => !ids.has(p[key])) : list.slice();
+    if (kept.length) out[t] = kept;
+  }
+  return out;
+}
+
+function addPostings(target, postings) {
+  for (const [t, list] of Object.entries(postings)) target[t] = (target[t] || []).concat(list);
+}
+
+function lengthStats(lengths) {
+  const values = Object.values(lengths);
+  const total = values.reduce((a, b) => a + b, 0);
+  return { lengths, avgLength: values.length ? total / values.length : 0, count: values.length };
+}
+
+/**
+ * Refresh stored indexes after an incremental recrawl. Only documents whose
+ * url is in `touched` (added, changed or removed pages) are re-tokenized and
+ * re-chunked from `docs`; postings and chunks of every other page are reused.
+ * `prev` is the stored shop record with index/docStats/chunks/chunkIndex.
+ */
+function updateIndexes(prev, docs, touched, opts = {}) {
+  const fresh = (docs || []).filter(d => touched.has(d.url));
+  console.log('indexer: updating', touched.size, 'touched pages,', fresh.length, 'to re-index');
+
+  const index = withoutPostings(prev.index, touched, 'url');
+  addPostings(index, buildIndex(fresh, opts));
+  for (const t of Object.keys(index)) index[t].sort((a, b) => b.count - a.count);
+  const pageLengths = Object.assign({}, prev.docStats.lengths);
+  for (const url of touched) delete pageLengths[url];
+  Object.assign(pageLengths, buildDocStats(fresh, opts).lengths);
+
+  const staleIds = new Set(prev.chunks.filter(c => touched.has(c.url)).map(c => c.id));
+  const newChunks = chunkPages(fresh, opts);
+  const chunks = prev.chunks.filter(c => !staleIds.has(c.id)).concat(newChunks);
+  const added = buildChunkIndex(newChunks, opts);
+  const postings = withoutPostings(prev.chunkIndex.postings, staleIds, 'id');
+  addPostings(postings, added.postings);
+  const chunkLengths = Object.assign({}, prev.chunkIndex.lengths);
+  for (const id of staleIds) delete chunkLengths[id];
+  Object.assign(chunkLengths, added.lengths);
+
+  return {
+    index,
+    docStats: lengthStats(pageLengths),
+    chunks,
+    chunkIndex: Object.assign({ postings }, lengthStats(chunkLengths))
+  };
+}
+
+module.exports = { urlPath, tokenize, buildIndex, buildDocStats, chunkPages, buildChunkIndex, knowledgePages, updateIndexes };
@@ -0,0 +1,212 @@
+// jsonStore.js - storage adapter keeping one JSON file per shop in data/
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The original storage: data/<shop>.json holds everything stored for a
+ * shop (pages, aggregated text, indexes, catalog, settings) and
+ * data/crawl-jobs/<id>.json one crawl job each. Crawl snapshots live in
+ * data/snapshots/<shop>/: <id>.json per snapshot and snapshots.json listing
+ * their metadata, so listing never parses page content. Files are written to a
+ * temporary name and renamed into place, so a crash mid-write never leaves
+ * a truncated file behind.
+ */
+
+const dataDir = path.join(__dirname, 'data');
+// Crawl job records live in their own folder so listShops() never sees them
+const jobsDir = path.join(dataDir, 'crawl-jobs');
+const snapshotsDir = path.join(dataDir, 'snapshots');
+
+function ensureDir(dir = dataDir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+// "https://shop.com/" and "shop.com" name the same shop; sqliteStore keys rows the same way
+function shopKey(shop) {
+  // keep only host portion if full URL provided
+  try {
+    const u = new URL(shop);
+    shop = u.host || shop;
+  } catch (e) {
+    // not a URL, assume domain
+  }
+  // sanitize
+  return shop.replace(/[^a-z0-9.-]/gi, '_');
+}
+
+function shopToFilename(shop) {
+  return shopKey(shop) + '.json';
+}
+
+function filePathForShop(shop) {
+  ensureDir();
+  return path.join(dataDir, shopToFilename(shop));
+}
+
+// Write to a sibling temp file, then rename over the target (atomic on one filesystem)
+function writeFileAtomic(fp, content) {
+  const tmp = `${fp}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, 'utf8');
+  fs.renameSync(tmp, fp);
+}
+
+function pick(data, fields) {
+  if (!data || !fields) return data;
+  const out = {};
+  for (const f of fields) if (f in data) out[f] = data[f];
+  return out;
+}
+
+/**
+ * Merge `data` into the shop's stored record (top-level keys replace).
+ * opts.raw stores `data` exactly as given instead (used by migrations).
+ */
+function writeShopData(shop, data, opts = {}) {
+  try {
+    const fp = filePathForShop(shop);
+    // merge with existing to preserve installedAt and other metadata
+    let existing = null;
+    try { existing = (!opts.raw && readShopData(shop)) || {}; } catch (e) { existing = {}; }
+    // only a crawl (new pages) moves lastCrawledAt; e.g. catalog syncs must not postpone recrawls
+    const out = opts.raw ? data : Object.assign({}, existing, data, data.pages ? { lastCrawledAt: Date.now() } : {});
+    writeFileAtomic(fp, JSON.stringify(out, null, 2));
+    console.log('storage: wrote data for', shop, 'to', fp, 'pages=', (out.pages && out.pages.length) || 0);
+    return true;
+  } catch (e) {
+    console.error('storage write error', e);
+    return false;
+  }
+}
+
+// `fields` (top-level keys) limits what is returned; the file is read whole either way
+function readShopData(shop, fields) {
+  try {
+    console.log('storage: readShopData for', shop);
+    const fp = filePathForShop(shop);
+    if (!fs.existsSync(fp)) return null;
+    const raw = fs.readFileSync(fp, 'utf8');
+    return pick(JSON.parse(raw), fields);
+  } catch (e) {
+    console.error('storage read error', e);
+    return null;
+  }
+}
+
+// Remove the shop's file and snapshots; returns whether anything was stored
+function deleteShopData(shop) {
+  try {
+    const fp = filePathForShop(shop);
+    const existed = fs.existsSync(fp) || fs.existsSync(snapshotDir(shop));
+    fs.rmSync(fp, { force: true });
+    fs.rmSync(snapshotDir(shop), { recursive: true, force: true });
+    console.log('storage: deleted data for', shop);
+    return existed;
+  } catch (e) {
+    console.error('storage delete error', e);
+    return false;
+  }
+}
+
+function listShops() {
+  try {
+    ensureDir();
+    const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json'));
+    const shops = files.map(f => f.replace(/\.json$/, ''));
+    console.log('storage: listShops ->', shops.length, 'shops');
+    return shops;
+  } catch (e) {
+    return [];
+  }
+}
+
+function getAllShopData() {
+  const out = {};
+  for (const s of listShops()) {
+    const fp = path.join(dataDir, s + '.json');
+    try {
+      out[s] = JSON.parse(fs.readFileSync(fp, 'utf8'));
+    } catch (e) { out[s] = null; }
+  }
+  return out;
+}
+
+function writeCrawlJob(job) {
+  try {
+    ensureDir(jobsDir);
+    writeFileAtomic(path.join(jobsDir, job.id.replace(/[^a-z0-9-]/gi, '_') + '.json'), JSON.stringify(job, null, 2));
+    return true;
+  } catch (e) {
+    console.error('storage: crawl job write error', e);
+    return false;
+  }
+}
+
+function listCrawlJobs() {
+  try {
+    if (!fs.existsSync(jobsDir)) return [];
+    return fs.readdirSync(jobsDir).filter(f => f.endsWith('.json')).map(f => {
+      try { return JSON.parse(fs.readFileSync(path.join(jobsDir, f), 'utf8')); } catch (e) { return null; }
+    }).filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+function deleteCrawlJob(id) {
+  try { fs.unlinkSync(path.join(jobsDir, id.replace(/[^a-z0-9-]/gi, '_') + '.json')); } catch (e) { /* already gone */ }
+}
+
+function snapshotDir(shop) {
+  return path.join(snapshotsDir, shopKey(shop));
+}
+
+function snapshotFile(shop, id) {
+  return path.join(snapshotDir(shop), String(id).replace(/[^a-z0-9-]/gi, '_') + '.json');
+}
+
+function readManifest(shop) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(snapshotDir(shop), 'snapshots.json'), 'utf8'));
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeManifest(shop, list) {
+  writeFileAtomic(path.join(snapshotDir(shop), 'snapshots.json'), JSON.stringify(list, null, 2));
+}
+
+function writeSnapshot(shop, snapshot) {
+  try {
+    ensureDir(snapshotDir(shop));
+    const { content, ...meta } = snapshot;
+    writeFileAtomic(snapshotFile(shop, snapshot.id), JSON.stringify(snapshot));
+    writeManifest(shop, readManifest(shop).filter(s => s.id !== snapshot.id).concat(meta));
+    return true;
+  } catch (e) {
+    console.error('storage: snapshot write error', e);
+    return false;
+  }
+}
+
+function listSnapshots(shop) {
+  return readManifest(shop);
+}
+
+function readSnapshot(shop, id) {
+  try {
+    return JSON.parse(fs.readFileSync(snapshotFile(shop, id), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function deleteSnapshot(shop, id) {
+  try {
+    writeManifest(shop, readManifest(shop).filter(s => s.id !== id));
+    fs.unlinkSync(snapshotFile(shop, id));
+  } catch (e) { /* already gone */ }
+}
+
+module.exports = { shopKey, writeShopData, readShopData, deleteShopData, listShops, getAllShopData, writeCrawlJob, listCrawlJobs, deleteCrawlJob, writeSnapshot, listSnapshots, readSnapshot, deleteSnapshot };
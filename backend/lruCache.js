@@ -0,0 +1,79 @@
+// lruCache.js - size-bounded least-recently-used cache with hit/miss counters
+
+/**
+ * createLru({ maxEntries, maxBytes }) returns a cache whose entries are
+ * evicted least recently used first once either limit is exceeded. Callers
+ * pass each value's size in bytes to set(); a value larger than maxBytes on
+ * its own is not cached. A Map keeps insertion order, so re-inserting on
+ * every hit makes its first key the least recently used one.
+ */
+function createLru({ maxEntries = 50, maxBytes = 100 * 1024 * 1024 } = {}) {
+  const entries = new Map(); // key -> { value, bytes }
+  let bytes = 0;
+  const counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+  function evict(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    bytes -= entry.bytes;
+    return true;
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) { counters.misses++; return undefined; }
+    counters.hits++;
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, size = 0) {
+    evict(key);
+    if (size > maxBytes) return;
+    entries.set(key, { value, bytes: size });
+    bytes += size;
+    while (entries.size > maxEntries || bytes > maxBytes) {
+      evict(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  // Value without counting a lookup or refreshing its recency
+  function peek(key) {
+    const entry = entries.get(key);
+    return entry ? entry.value : undefined;
+  }
+
+  function remove(key) {
+    return evict(key);
+  }
+
+  // Drop every key matching the predicate (e.g. all entries of one shop)
+  function invalidate(match) {
+    for (const key of [...entries.keys()]) {
+      if (match(key) && evict(key)) counters.invalidations++;
+    }
+  }
+
+  function clear() {
+    entries.clear();
+    bytes = 0;
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return Object.assign({
+      entries: entries.size,
+      bytes,
+      maxEntries,
+      maxBytes,
+      hitRate: lookups ? Math.round(counters.hits / lookups * 1000) / 1000 : null
+    }, counters);
+  }
+
+  return { get, peek, set, delete: remove, invalidate, clear, stats };
+}
+
+module.exports = { createLru };
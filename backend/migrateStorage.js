@@ -0,0 +1,72 @@
+// migrateStorage.js - copy shop data and crawl jobs from one storage backend to another
+//
+// Usage: node migrateStorage.js [--from json] [--to sqlite] [--overwrite]
+//   (npm run migrate-storage). Shops already in the target are skipped unless
+//   --overwrite is given. Records are copied as stored (lastCrawledAt and
+//   installedAt keep their values) and each shop's page count is checked after
+//   the copy, then its crawl snapshots are copied. The source is left untouched.
+
+const dotenv = require('dotenv');
+dotenv.config();
+const storage = require('./storage');
+
+function parseArgs(argv) {
+  const args = { from: 'json', to: 'sqlite', overwrite: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--overwrite') args.overwrite = true;
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  if (args.from === args.to) throw new Error('--from and --to must differ');
+  return args;
+}
+
+function migrate({ from, to, overwrite }) {
+  const source = storage.getAdapter(from);
+  const target = storage.getAdapter(to);
+  const existing = new Set(target.listShops());
+  const summary = { copied: 0, skipped: 0, failed: 0, jobs: 0, snapshots: 0 };
+
+  for (const shop of source.listShops()) {
+    // data/.json (a shop name that sanitized to nothing) has no usable key
+    if (!shop) { console.log('migrate: skipping unnamed shop file'); summary.skipped++; continue; }
+    if (existing.has(shop) && !overwrite) { console.log('migrate: exists in target, skipping', shop); summary.skipped++; continue; }
+    const data = source.readShopData(shop);
+    if (!data) { console.log('migrate: unreadable, skipping', shop); summary.failed++; continue; }
+    const ok = target.writeShopData(shop, data, { raw: true });
+    const copied = ok && target.readShopData(shop, ['pages']);
+    const expected = (data.pages || []).length;
+    if (!copied || (copied.pages || []).length !== expected) {
+      console.error('migrate: copy check failed for', shop);
+      summary.failed++;
+      continue;
+    }
+    console.log('migrate: copied', shop, 'pages=', expected);
+    summary.copied++;
+    for (const meta of source.listSnapshots(shop)) {
+      const snapshot = source.readSnapshot(shop, meta.id);
+      if (snapshot && target.writeSnapshot(shop, snapshot)) summary.snapshots++;
+    }
+  }
+
+  for (const job of source.listCrawlJobs()) {
+    if (target.writeCrawlJob(job)) summary.jobs++;
+  }
+  return summary;
+}
+
+if (require.main === module) {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    console.log('migrate: from', args.from, 'to', args.to, args.overwrite ? '(overwrite)' : '');
+    const summary = migrate(args);
+    console.log('migrate: done', summary);
+    process.exitCode = summary.failed ? 1 : 0;
+  } catch (e) {
+    console.error('migrate:', e.message || e);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { migrate };
@@ -0,0 +1,63 @@
+// policies.js - store policy pages and policy questions (shipping, returns, refunds, sizing)
+
+const indexer = require('./indexer');
+const { classifyPage } = require('./crawlRules');
+
+/**
+ * Most shopper questions are answered by the store's policies and FAQ
+ * pages. Shopify serves its standard policies at fixed paths, so the
+ * crawler always seeds them; /api/ask routes questions that look like
+ * policy questions with policy and FAQ chunks ranked higher and quotes the best
+ * matching sentence verbatim.
+ */
+
+const STANDARD_POLICY_PATHS = [
+  '/policies/shipping-policy',
+  '/policies/refund-policy',
+  '/policies/terms-of-service',
+  '/policies/privacy-policy',
+  '/policies/contact-information',
+  '/policies/legal-notice',
+  '/policies/subscription-policy'
+];
+
+// Whole words in English, German, French, Spanish and Dutch questions; German
+// and Dutch compounds (Versandkosten, verzendkosten) match by their first part.
+// "tracksuit", "fitted" and "exchange rate" are not policy questions.
+const POLICY_TERMS = [
+  'ship(?:s|ped|ping|ment|ments)?', 'deliver(?:s|ed|ing|y|ies)?', 'dispatch(?:es|ed|ing)?', 'postage', 'couriers?',
+  'track(?:s|ed|ing)?', 'customs', 'dut(?:y|ies)', 'return(?:s|ed|ing)?', 'refund(?:s|ed|ing|able)?',
+  'exchang(?:e|es|ed|ing)(?!\\s+rates?)', 'money back', 'cancel(?:s|led|ling|lation|ed|ing)?', 'warrant(?:y|ies)',
+  'guarantee(?:s|d)?', 'sizes?', 'sizing', 'fits?', 'privacy', 'terms',
+  'versand\\p{L}*', 'liefer\\p{L}*', 'rücksend\\p{L}*', 'rückgabe\\p{L}*', 'erstatt\\p{L}*', 'umtausch\\p{L}*', 'größe(?:n\\p{L}*)?',
+  'livraisons?', 'expédi\\p{L}*', 'retours?', 'rembours\\p{L}*', 'échang\\p{L}*', 'tailles?',
+  'envíos?', 'envios?', 'entregas?', 'devoluci(?:ón|on|ones)', 'reembols\\p{L}*', 'tallas?',
+  'verzend\\p{L}*', 'bezorg\\p{L}*', 'terugbetal\\p{L}*', 'maat', 'maten'
+];
+const POLICY_QUESTION = new RegExp(`(?:^|[^\\p{L}])(?:${POLICY_TERMS.join('|')})(?![\\p{L}])`, 'iu');
+
+function isPolicyQuestion(question) {
+  return POLICY_QUESTION.test(question || '');
+}
+
+/**
+ * The sentence of the policy chunks that shares the most terms with the
+ * question, verbatim, with the page it came from: { text, url, title }.
+ * Returns null when no policy chunk matches.
+ */
+function bestExcerpt(chunks, question, lang) {
+  const qWords = new Set(indexer.tokenize(question, lang));
+  let best = null;
+  for (const c of chunks || []) {
+    if ((c.type || classifyPage(c.url)) !== 'policy') continue;
+    const sentences = (c.text || '').split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(s => s.length > 15);
+    for (const s of sentences) {
+      let score = 0;
+      for (const w of new Set(indexer.tokenize(s, lang))) if (qWords.has(w)) score++;
+      if (score > 0 && (!best || score > best.score)) best = { score, text: s, url: c.url, title: c.title || '' };
+    }
+  }
+  return best && { text: best.text, url: best.url, title: best.title };
+}
+
+module.exports = { STANDARD_POLICY_PATHS, isPolicyQuestion, bestExcerpt };
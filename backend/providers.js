@@ -0,0 +1,256 @@
+// providers.js - pluggable LLM providers (OpenRouter, OpenAI-compatible, mock)
+
+const axios = require('axios');
+const crypto = require('crypto');
+const https = require('https');
+const sse = require('./sse');
+
+/**
+ * Every provider exposes the same interface:
+ *   name, defaultModel
+ *   modelChain(requested)        -> ordered models to try (see resilience.js)
+ *   configuredModels()           -> the server-configured part of that chain
+ *   isConfigured(req)            -> boolean (credentials / base URL present)
+ *   complete(req)                -> { text, model, usage, toolCalls }
+ *   stream(req, onDelta)         -> { text, model, usage, toolCalls }, calling onDelta(text) per delta
+ *   embed(texts, req)            -> { vectors: number[][], model }
+ * where req = { messages, model, temperature, maxTokens, apiKey, signal, tools }.
+ * toolCalls is null unless the model asked for one of req.tools (see tools.js).
+ *
+ * Selection order: request body `provider`, AI_PROVIDER_BY_SHOP
+ * ("shop.myshopify.com=mock,other.com=openai-compatible"), AI_PROVIDER, then
+ * openrouter when OPENROUTER_API_KEY is set. A request may only pick a
+ * provider named in AI_PROVIDER_REQUEST_ALLOWLIST (comma-separated, default
+ * "mock"), so shoppers cannot route questions to a server-side provider the
+ * shop was not configured for.
+ */
+
+// Keep-alive HTTPS agent shared by every provider; certificates are verified.
+const defaultHttpsAgent = new https.Agent({ keepAlive: true });
+// OPENROUTER_INSECURE_TLS=true disables certificate verification for
+// OpenRouter only (e.g. behind an intercepting proxy in a controlled test
+// environment). It is a security risk and does not fix DNS resolution errors.
+const insecureHttpsAgent = new https.Agent({ keepAlive: true, rejectUnauthorized: false });
+
+// Ordered, de-duplicated model list: explicit request first, then the
+// comma-separated *_MODELS env list, then the single default model.
+function buildModelChain(requested, listEnv, fallback) {
+  const list = [requested, ...(listEnv || '').split(','), fallback].map(m => (m || '').trim()).filter(Boolean);
+  return [...new Set(list)];
+}
+
+// Normalise the various shapes of `choices[0]` content into a string
+function messageText(choice) {
+  let answer = choice?.message?.content || choice?.message || choice?.text || null;
+  if (typeof answer === 'object' && answer?.length) answer = Array.isArray(answer) ? answer.map(a => a?.text || a).join('\n') : (answer?.text || JSON.stringify(answer));
+  return answer;
+}
+
+/**
+ * Provider for any server speaking the OpenAI chat completions API
+ * (OpenRouter, llama.cpp server, Ollama's /v1, vLLM, ...).
+ */
+function createOpenAICompatibleProvider(cfg) {
+  const chatUrl = () => `${cfg.urlPrefix ? cfg.urlPrefix() : ''}${cfg.baseUrl().replace(/\/$/, '')}/chat/completions`;
+  const embedUrl = () => `${cfg.urlPrefix ? cfg.urlPrefix() : ''}${cfg.baseUrl().replace(/\/$/, '')}/embeddings`;
+  const keyFor = (req) => (req && req.apiKey) || cfg.apiKey();
+
+  function requestOpts(req, extra) {
+    const headers = { 'Content-Type': 'application/json' };
+    const key = keyFor(req);
+    if (key) headers.Authorization = `Bearer ${key}`;
+    const httpsAgent = cfg.insecureTls && cfg.insecureTls() ? insecureHttpsAgent : defaultHttpsAgent;
+    return Object.assign({ headers, httpsAgent, timeout: 20000, signal: req && req.signal }, extra);
+  }
+
+  function body(req) {
+    return {
+      model: req.model || cfg.defaultModel(),
+      messages: req.messages,
+      temperature: typeof req.temperature === 'number' ? req.temperature : 0.2,
+      max_tokens: req.maxTokens || 500,
+      ...(req.tools && req.tools.length ? { tools: req.tools, tool_choice: 'auto' } : {})
+    };
+  }
+
+  return {
+    name: cfg.name,
+    get defaultModel() { return cfg.defaultModel(); },
+    modelChain(requested) { return buildModelChain(requested, cfg.models && cfg.models(), cfg.defaultModel()); },
+    configuredModels() { return buildModelChain(null, cfg.models && cfg.models(), cfg.defaultModel()); },
+    isConfigured(req) { return cfg.requiresKey ? !!keyFor(req) : !!cfg.baseUrl(); },
+
+    async complete(req) {
+      const payload = body(req);
+      console.log(`${cfg.name}: request model=`, payload.model);
+      const resp = await axios.post(chatUrl(), payload, requestOpts(req));
+      const choice = resp?.data?.choices?.[0];
+      const toolCalls = choice?.message?.tool_calls?.length ? choice.message.tool_calls : null;
+      return { text: toolCalls && !choice.message.content ? '' : messageText(choice), model: resp?.data?.model || payload.model, usage: resp?.data?.usage || null, toolCalls };
+    },
+
+    async stream(req, onDelta) {
+      const payload = Object.assign(body(req), { stream: true, stream_options: { include_usage: true } });
+      console.log(`${cfg.name}: stream request model=`, payload.model);
+      const resp = await axios.post(chatUrl(), payload, requestOpts(req, { responseType: 'stream' }));
+      let text = '';
+      let usage = null;
+      let model = payload.model;
+      const toolCalls = []; // assembled from indexed fragments; arguments arrive in pieces
+      await sse.readEventStream(resp.data, (chunk) => {
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) { text += delta; onDelta(delta); }
+        for (const part of chunk?.choices?.[0]?.delta?.tool_calls || []) {
+          const i = typeof part.index === 'number' ? part.index : toolCalls.length;
+          if (!toolCalls[i]) toolCalls[i] = { id: part.id, type: 'function', function: { name: '', arguments: '' } };
+          if (part.id) toolCalls[i].id = part.id;
+          if (part.function?.name) toolCalls[i].function.name += part.function.name;
+          if (part.function?.arguments) toolCalls[i].function.arguments += part.function.arguments;
+        }
+        if (chunk?.usage) usage = chunk.usage;
+        if (chunk?.model) model = chunk.model;
+      });
+      return { text, model, usage, toolCalls: toolCalls.filter(Boolean).length ? toolCalls.filter(Boolean) : null };
+    },
+
+    async embed(texts, req = {}) {
+      const model = req.model || cfg.embeddingModel();
+      const resp = await axios.post(embedUrl(), { model, input: texts }, requestOpts(req, { timeout: 60000 }));
+      const vectors = (resp?.data?.data || []).sort((a, b) => a.index - b.index).map(d => d.embedding);
+      return { vectors, model };
+    }
+  };
+}
+
+// Deterministic bag-of-words hashing embedding; stable across runs and offline
+function hashEmbedding(text, dims = 64) {
+  const v = new Array(dims).fill(0);
+  for (const tok of String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+    const h = crypto.createHash('md5').update(tok).digest();
+    v[h[0] % dims] += (h[1] & 1) ? 1 : -1;
+  }
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map(x => x / norm);
+}
+
+/**
+ * Offline provider with deterministic output, for local development and
+ * trying the widget without credentials: echoes the last question and cites source [1] when the prompt
+ * contains numbered sources. With tools it first calls searchProducts for
+ * the question, then names the products it got back.
+ */
+function createMockProvider() {
+  function questionOf(req) {
+    const last = [...(req.messages || [])].reverse().find(m => m.role === 'user');
+    const content = (last && last.content) || '';
+    return { content, question: (content.match(/^Question: (.*)$/m) || [null, content])[1].trim() };
+  }
+  function answerFor(req) {
+    const { content, question } = questionOf(req);
+    const cite = /^\[1\] /m.test(content) ? ' [1]' : '';
+    const toolOutput = (req.messages || []).filter(m => m.role === 'tool').map(m => { try { return JSON.parse(m.content); } catch (e) { return {}; } });
+    const titles = toolOutput.flatMap(o => o.products || (o.title ? [o] : [])).map(p => p.title);
+    return `Mock answer to "${question}"${cite}${titles.length ? ` Products: ${titles.join(', ')}.` : ''}`;
+  }
+  function toolCallsFor(req) {
+    if (!req.tools || !req.tools.length || (req.messages || []).some(m => m.role === 'tool')) return null;
+    return [{ id: 'mock-call-1', type: 'function', function: { name: 'searchProducts', arguments: JSON.stringify({ query: questionOf(req).question }) } }];
+  }
+  const usageFor = (text) => ({ prompt_tokens: 0, completion_tokens: text.split(' ').length, total_tokens: text.split(' ').length });
+  return {
+    name: 'mock',
+    defaultModel: 'mock-1',
+    modelChain() { return ['mock-1']; },
+    configuredModels() { return ['mock-1']; },
+    isConfigured() { return true; },
+    async complete(req) {
+      const toolCalls = toolCallsFor(req);
+      const text = toolCalls ? '' : answerFor(req);
+      return { text, model: 'mock-1', usage: usageFor(text), toolCalls };
+    },
+    async stream(req, onDelta) {
+      const toolCalls = toolCallsFor(req);
+      const text = toolCalls ? '' : answerFor(req);
+      if (text) text.split(/(?= )/).forEach(piece => onDelta(piece));
+      return { text, model: 'mock-1', usage: usageFor(text), toolCalls };
+    },
+    async embed(texts) {
+      return { vectors: texts.map(t => hashEmbedding(t)), model: 'mock-hash-64' };
+    }
+  };
+}
+
+const providers = {
+  openrouter: createOpenAICompatibleProvider({
+    name: 'openrouter',
+    requiresKey: true,
+    baseUrl: () => 'https://openrouter.ai/api/v1',
+    urlPrefix: () => process.env.OPENROUTER_RELAY_PREFIX || '',
+    insecureTls: () => process.env.OPENROUTER_INSECURE_TLS === 'true',
+    apiKey: () => process.env.OPENROUTER_API_KEY || null,
+    defaultModel: () => process.env.OPENROUTER_MODEL || 'google/gemini-flash-1.5',
+    // e.g. OPENROUTER_MODELS="anthropic/claude-3.5-haiku,google/gemini-flash-1.5" (primary first)
+    models: () => process.env.OPENROUTER_MODELS || '',
+    embeddingModel: () => process.env.OPENROUTER_EMBEDDING_MODEL || 'openai/text-embedding-3-small'
+  }),
+  'openai-compatible': createOpenAICompatibleProvider({
+    name: 'openai-compatible',
+    requiresKey: false,
+    baseUrl: () => process.env.OPENAI_COMPAT_BASE_URL || '',
+    apiKey: () => process.env.OPENAI_COMPAT_API_KEY || null,
+    defaultModel: () => process.env.OPENAI_COMPAT_MODEL || 'local-model',
+    models: () => process.env.OPENAI_COMPAT_MODELS || '',
+    embeddingModel: () => process.env.OPENAI_COMPAT_EMBEDDING_MODEL || process.env.OPENAI_COMPAT_MODEL || 'local-model'
+  }),
+  mock: createMockProvider()
+};
+
+function getProvider(name) {
+  return providers[name] || null;
+}
+
+function listProviders() {
+  return Object.keys(providers);
+}
+
+// AI_PROVIDER_BY_SHOP="a.myshopify.com=mock,b.com=openai-compatible"
+function shopProviderName(shop) {
+  if (!shop) return null;
+  for (const pair of (process.env.AI_PROVIDER_BY_SHOP || '').split(',')) {
+    const [s, name] = pair.split('=').map(x => (x || '').trim());
+    if (s && name && s.toLowerCase() === String(shop).toLowerCase()) return name;
+  }
+  return null;
+}
+
+function requestAllowlist() {
+  return (process.env.AI_PROVIDER_REQUEST_ALLOWLIST === undefined ? 'mock' : process.env.AI_PROVIDER_REQUEST_ALLOWLIST)
+    .split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function defaultProviderName() {
+  return process.env.AI_PROVIDER || (process.env.OPENROUTER_API_KEY ? 'openrouter' : null);
+}
+
+/**
+ * Resolve the provider for a request. Returns { name, provider, source }
+ * where source says which rule picked it; provider is null when the name
+ * is unknown or nothing is configured.
+ */
+function resolveProvider({ requested, shop } = {}) {
+  if (requested && !requestAllowlist().includes(requested)) {
+    console.log('providers: requested provider', requested, 'is not in AI_PROVIDER_REQUEST_ALLOWLIST; ignoring it');
+    requested = null;
+  }
+  const candidates = [
+    [requested, 'request'],
+    [shopProviderName(shop), 'shop'],
+    [defaultProviderName(), 'default']
+  ];
+  for (const [name, source] of candidates) {
+    if (name) return { name, provider: getProvider(name), source };
+  }
+  return { name: null, provider: null, source: null };
+}
+
+module.exports = { getProvider, listProviders, resolveProvider, requestAllowlist, shopProviderName, defaultProviderName };
@@ -0,0 +1,161 @@
+// resilience.js - retry, backoff and per-model circuit breaking for LLM calls
+
+/**
+ * runModelChain tries each model of an ordered list (primary first, then
+ * cheaper fallbacks). Each model gets LLM_MAX_RETRIES retries on 429/5xx and
+ * network errors with exponential backoff, honouring Retry-After. A model
+ * that fails LLM_BREAKER_THRESHOLD times in a row is skipped for
+ * LLM_BREAKER_COOLDOWN_MS, after which one trial call is let through and
+ * other requests keep skipping it until the trial settles. Only failures
+ * that say the model is unavailable (isRetryable) count; a 400 or 401 is the
+ * request's fault, not the model's.
+ */
+
+const breakers = new Map(); // `${provider}:${model}` -> { failures, openedAt, state, trial }
+
+function settings() {
+  return {
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+    baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_MS || '500', 10),
+    maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_MS || '8000', 10),
+    breakerThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD || '3', 10),
+    breakerCooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS || '60000', 10)
+  };
+}
+
+function isCancel(err) {
+  return !!err && (err.code === 'ERR_CANCELED' || err.name === 'CanceledError' || err.name === 'AbortError');
+}
+
+function isRetryable(err) {
+  if (!err || isCancel(err)) return false;
+  const status = err.response && err.response.status;
+  if (status) return status === 429 || status >= 500;
+  // no response at all: timeouts, resets, DNS hiccups
+  return ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'].includes(err.code) || /timeout/i.test(err.message || '');
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(err) {
+  const header = err && err.response && err.response.headers && err.response.headers['retry-after'];
+  if (!header) return null;
+  const secs = Number(header);
+  if (!Number.isNaN(secs)) return secs * 1000;
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffMs(attempt, err, cfg) {
+  const hinted = retryAfterMs(err);
+  if (hinted !== null) return Math.min(hinted, cfg.maxDelayMs);
+  const exp = cfg.baseDelayMs * Math.pow(2, attempt);
+  // full jitter keeps concurrent shoppers from retrying in lockstep
+  return Math.min(cfg.maxDelayMs, Math.round(exp / 2 + Math.random() * exp / 2));
+}
+
+function breakerFor(key) {
+  if (!breakers.has(key)) breakers.set(key, { failures: 0, openedAt: 0, state: 'closed', trial: false });
+  return breakers.get(key);
+}
+
+function canAttempt(key, cfg) {
+  const b = breakerFor(key);
+  if (b.state === 'closed') return true;
+  if (b.state === 'open' && Date.now() - b.openedAt < cfg.breakerCooldownMs) return false;
+  // half-open: only the one trial call until it settles
+  if (b.trial) return false;
+  b.state = 'half-open';
+  b.trial = true;
+  return true;
+}
+
+function recordSuccess(key) {
+  const b = breakerFor(key);
+  b.failures = 0;
+  b.state = 'closed';
+  b.trial = false;
+}
+
+// The trial was cancelled or failed for a reason unrelated to the model: let the next request try
+function releaseTrial(key) {
+  breakerFor(key).trial = false;
+}
+
+function recordFailure(key, cfg) {
+  const b = breakerFor(key);
+  b.trial = false;
+  b.failures++;
+  if (b.state === 'half-open' || b.failures >= cfg.breakerThreshold) {
+    if (b.state !== 'open') console.warn('resilience: circuit open for', key, 'after', b.failures, 'failures');
+    b.state = 'open';
+    b.openedAt = Date.now();
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Call fn(model) for each model in order until one succeeds.
+ * opts.providerName namespaces the breakers; opts.breaker: false bypasses
+ * them (a request with its own apiKey must not open or obey the circuit
+ * shared with the server key), and opts.breakerModels limits them to the
+ * configured models, so model names sent by clients never add breakers.
+ * A model's failure is counted once per call, after its retries.
+ * opts.canRetry() lets callers forbid retries once output has been sent
+ * (e.g. a stream already started).
+ * Resolves to { result, model }; rejects with the last error (err.attempts
+ * lists what was tried) when every model failed or was skipped.
+ */
+async function runModelChain(models, fn, opts = {}) {
+  const cfg = settings();
+  const attempts = [];
+  let lastErr = null;
+  for (const model of models) {
+    const key = `${opts.providerName || 'llm'}:${model}`;
+    const useBreaker = opts.breaker !== false && (!opts.breakerModels || opts.breakerModels.includes(model));
+    if (useBreaker && !canAttempt(key, cfg)) {
+      attempts.push({ model, skipped: 'circuit open' });
+      continue;
+    }
+    for (let attempt = 0; attempt <= cfg.maxRetries; attempt++) {
+      try {
+        const result = await fn(model);
+        if (useBreaker) recordSuccess(key);
+        return { result, model, attempts };
+      } catch (err) {
+        lastErr = err;
+        const retryable = isRetryable(err);
+        if (isCancel(err)) {
+          if (useBreaker) releaseTrial(key);
+          throw err;
+        }
+        const status = err.response && err.response.status;
+        attempts.push({ model, attempt, status: status || err.code || err.message });
+        const mayRetry = retryable && attempt < cfg.maxRetries && (!opts.canRetry || opts.canRetry()) && !(useBreaker && breakerFor(key).state === 'open');
+        if (!mayRetry) {
+          if (useBreaker) {
+            if (retryable) recordFailure(key, cfg);
+            else releaseTrial(key);
+          }
+          break;
+        }
+        const wait = backoffMs(attempt, err, cfg);
+        console.log('resilience: retrying', key, 'in', wait, 'ms after', status || err.code || err.message);
+        await sleep(wait);
+      }
+    }
+    // output already reached the client: falling through to another model would duplicate it
+    if (opts.canRetry && !opts.canRetry()) break;
+  }
+  const err = lastErr || new Error('All models unavailable (circuits open)');
+  err.attempts = attempts;
+  throw err;
+}
+
+function breakerStates() {
+  const out = {};
+  for (const [key, b] of breakers) out[key] = { state: b.state, failures: b.failures, openedAt: b.openedAt || null };
+  return out;
+}
+
+module.exports = { runModelChain, breakerStates, isRetryable };
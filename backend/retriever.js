@@ -0,0 +1,126 @@
+// retriever.js - chunk-level retrieval used to build /api/ask context
+
+const indexer = require('./indexer');
+const { classifyPage } = require('./crawlRules');
+const embeddings = require('./embeddings');
+
+/**
+ * Rough token estimate (~4 chars per token for English text). Good enough
+ * to keep prompts under budget without pulling in a tokenizer.
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Okapi BM25 over an index shaped like indexer.buildChunkIndex output.
+ * Returns a Map of doc id -> score for docs matching at least one term.
+ */
+function scoreBm25(queryTokens, stats, opts = {}) {
+  const k1 = opts.k1 || 1.2;
+  const b = typeof opts.b === 'number' ? opts.b : 0.75;
+  const idKey = opts.idKey || 'id';
+  const scores = new Map();
+  if (!stats || !stats.postings || !stats.count) return scores;
+  const avg = stats.avgLength || 1;
+  for (const t of new Set(queryTokens)) {
+    const postings = stats.postings[t];
+    if (!postings || !postings.length) continue;
+    const idf = Math.log(1 + (stats.count - postings.length + 0.5) / (postings.length + 0.5));
+    for (const p of postings) {
+      const id = p[idKey];
+      const len = (stats.lengths && stats.lengths[id]) || avg;
+      const tf = p.count;
+      const s = idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * len / avg));
+      scores.set(id, (scores.get(id) || 0) + s);
+    }
+  }
+  return scores;
+}
+
+// FAQ pairs are chunked one per pair with ids like `${url}#faq3` (indexer.chunkPages)
+function isFaqChunk(id) {
+  return /#faq\d+$/.test(id);
+}
+
+/**
+ * Pick the top-k chunks of a shop's stored data for a question.
+ * Shop files written before chunking existed are chunked on the fly.
+ * The question is analyzed with the language the shop was indexed in.
+ * opts.types (e.g. ['product', 'policy']) keeps only chunks of those page
+ * types; opts.preferTypes multiplies the scores of chunks of those types by
+ * RETRIEVE_PREFER_BOOST (default 1.5), and opts.preferFaq does the same for
+ * FAQ pair chunks on any page, so a strong match elsewhere still outranks a
+ * weak preferred one. Chunks stored before pages had a type are classified
+ * by URL.
+ * opts.queryVector (embeddings.embedQuery) blends BM25 with the cosine
+ * similarity of the shop's chunk vectors (embeddings.hybridScores).
+ */
+function retrieve(data, question, opts = {}) {
+  const topK = opts.topK || 6;
+  const lang = data && data.lang;
+  let chunks = data && data.chunks;
+  let chunkIndex = data && data.chunkIndex;
+  if (!chunks || !chunkIndex) {
+    chunks = indexer.chunkPages(indexer.knowledgePages(data), opts);
+    chunkIndex = indexer.buildChunkIndex(chunks, { lang });
+  }
+  const keyword = scoreBm25(indexer.tokenize(question, lang), chunkIndex);
+  const scores = embeddings.hybridScores(keyword, embeddings.similarities(data && data.vectors, opts.queryVector));
+  const byId = new Map(chunks.map(c => [c.id, c]));
+  const typeOf = (id) => byId.has(id) && (byId.get(id).type || classifyPage(byId.get(id).url));
+  const types = opts.types && opts.types.length ? new Set(opts.types) : null;
+  const prefer = opts.preferTypes && opts.preferTypes.length ? new Set(opts.preferTypes) : null;
+  const boost = parseFloat(process.env.RETRIEVE_PREFER_BOOST || '1.5');
+  const preferred = (id) => (prefer && prefer.has(typeOf(id))) || (opts.preferFaq && isFaqChunk(id));
+  const ranked = [...scores.entries()]
+    // vectors can name chunks a later re-index dropped
+    .filter(([id]) => byId.has(id) && (!types || types.has(typeOf(id))))
+    .map(([id, score]) => [id, preferred(id) ? score * boost : score])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topK)
+    .map(([id, score]) => Object.assign({}, byId.get(id), { score }));
+  console.log('retriever: question matched', scores.size, 'chunks, using top', ranked.length);
+  return ranked;
+}
+
+/**
+ * Assemble retrieved chunks into prompt text, stopping once the token
+ * budget is spent. Pages are numbered in order of first use ([1], [2], ...)
+ * so the model can cite them. Returns { text, chunks, sources } where
+ * sources is [{ n, url, title, snippet }] for the pages actually used.
+ * opts.factsFor(url) may return a line of structured facts (price, stock)
+ * that is put in front of a page's first block unless the chunk has it.
+ */
+function buildContext(chunks, tokenBudget = 1500, opts = {}) {
+  let text = '';
+  const used = [];
+  const sources = [];
+  const numberByUrl = new Map();
+  for (const c of chunks || []) {
+    const n = numberByUrl.get(c.url) || numberByUrl.size + 1;
+    const facts = !numberByUrl.has(c.url) && opts.factsFor ? opts.factsFor(c.url) : '';
+    // chunk text is whitespace-collapsed, so compare the facts the same way
+    const body = facts && !c.text.includes(facts.replace(/\s+/g, ' ')) ? `${facts}\n${c.text}` : c.text;
+    const block = `[${n}] ${c.title ? c.title + ' ' : ''}(${c.url})\n${body}\n\n`;
+    if (used.length && estimateTokens(text + block) > tokenBudget) break;
+    // always keep at least one chunk, trimmed to the budget if needed
+    text += used.length ? block : block.slice(0, tokenBudget * 4);
+    used.push(c);
+    if (!numberByUrl.has(c.url)) {
+      numberByUrl.set(c.url, n);
+      sources.push({ n, url: c.url, title: c.title || '', snippet: snippetOf(c.text) });
+    }
+  }
+  return { text: text.trim(), chunks: used, sources };
+}
+
+// First ~160 chars of a chunk, cut at a word boundary
+function snippetOf(text, max = 160) {
+  const t = (text || '').trim();
+  if (t.length <= max) return t;
+  const cut = t.slice(0, max);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : max) + '…';
+}
+
+module.exports = { estimateTokens, scoreBm25, retrieve, buildContext, snippetOf };
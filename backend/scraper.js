@@ -1,17 +1,80 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
-// Puppeteer is optional (heavy). We'll require it lazily when needed.
-let puppeteer = null;
+const http = require("http");
+const https = require("https");
 
-async function ensurePuppeteer() {
-  if (puppeteer) return puppeteer;
-  try {
-    puppeteer = require('puppeteer');
-    return puppeteer;
-  } catch (e) {
-    // not installed
-    return null;
+// Shared keep-alive agents: a crawl hits the same host hundreds of times
+const httpAgents = {
+  httpAgent: new http.Agent({ keepAlive: true, maxSockets: parseInt(process.env.CRAWL_MAX_SOCKETS || '10', 10) }),
+  httpsAgent: new https.Agent({ keepAlive: true, maxSockets: parseInt(process.env.CRAWL_MAX_SOCKETS || '10', 10) })
+};
+
+// Largest HTML body we download (bytes); bigger responses fail instead of filling memory
+function maxResponseBytes(opts) {
+  return opts.maxBytes || parseInt(process.env.SCRAPE_MAX_BYTES || String(5 * 1024 * 1024), 10);
+}
+// Puppeteer is optional (heavy); renders go through the shared browser pool.
+const browserPool = require("./browserPool");
+const structuredData = require("./structuredData");
+
+// Site chrome that repeats on every page: announcement bars, headers, menus, footers, drawers
+const CHROME_SELECTORS = [
+  'header', 'footer', 'nav', 'aside', '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+  '[role="dialog"]', '.announcement-bar', '.shopify-section-group-header-group',
+  '.shopify-section-group-footer-group', '#shopify-section-header', '#shopify-section-footer',
+  '#shopify-section-announcement-bar', '[id*="cookie"]', '[class*="cookie-banner"]'
+].join(', ');
+const MAIN_SELECTORS = 'main, [role="main"], #MainContent, #main-content, #content';
+// a content root shorter than this is probably a wrapper around nothing; use the body instead
+const MIN_MAIN_CHARS = 200;
+
+// Leading text pieces up to `max` characters in total
+function capBlocks(pieces, max) {
+  const out = [];
+  let total = 0;
+  for (const p of pieces) {
+    if (total >= max) break;
+    out.push(p);
+    total += p.length + 1;
+  }
+  return out;
+}
+
+function textLength($, el) {
+  return $(el).text().replace(/\s+/g, ' ').trim().length;
+}
+
+/**
+ * Readability-style pick of the element holding the page's main content:
+ * a <main>/#MainContent landmark when the theme has one, otherwise the
+ * ancestor that collects the most paragraph text (paragraphs score their
+ * parent fully and their grandparent half), discounted by link density so
+ * menus and link lists lose. Falls back to <body>.
+ */
+function mainContentRoot($) {
+  const landmark = $(MAIN_SELECTORS).first();
+  if (landmark.length && textLength($, landmark) >= MIN_MAIN_CHARS) return landmark;
+
+  const scores = new Map();
+  $('body p, body li, body td, body pre').each((_, el) => {
+    const len = textLength($, el);
+    if (len < 25) return;
+    const score = 1 + ($(el).text().match(/,/g) || []).length + Math.min(len / 100, 3);
+    const parent = el.parent;
+    const grand = parent && parent.parent;
+    if (parent && parent.type === 'tag') scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grand && grand.type === 'tag') scores.set(grand, (scores.get(grand) || 0) + score / 2);
+  });
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const len = textLength($, el) || 1;
+    const linkLen = $(el).find('a').text().replace(/\s+/g, ' ').trim().length;
+    const adjusted = score * (1 - linkLen / len);
+    if (adjusted > bestScore) { bestScore = adjusted; best = el; }
   }
+  if (best && textLength($, best) >= MIN_MAIN_CHARS) return $(best);
+  return $('body');
 }
 
 /**
@@ -20,21 +83,49 @@ async function ensurePuppeteer() {
  * Notes:
  * - Cheerio does not support :visible selectors. We remove script/style
  *   elements and then collect text nodes.
+ * - opts.etag / opts.lastModified turn the request into a conditional GET;
+ *   an unchanged page comes back as { notModified: true, status: 304, url }.
+ * - `links` holds the raw hrefs of the fetched (or rendered) document, so a
+ *   crawler needs no second request to find outgoing links.
+ * - Text comes from the main content only (see mainContentRoot); header,
+ *   nav and footer chrome is dropped. opts.mainContent = false (or
+ *   SCRAPE_MAIN_CONTENT=false) reads the whole body as before. `blocks` are
+ *   the text pieces in document order, up to a few times maxLength, so a
+ *   crawler can drop blocks repeated across pages before truncating.
  */
 async function scrape(url, opts = {}) {
   try {
     console.log('scrape: starting', url);
+    const headers = {
+      // Provide a sensible User-Agent
+      "User-Agent": opts.userAgent || "Shopify-AI-Scraper/1.0 (+https://example.com)",
+      Accept: "text/html,application/xhtml+xml"
+    };
+    if (opts.etag) headers["If-None-Match"] = opts.etag;
+    if (opts.lastModified) headers["If-Modified-Since"] = opts.lastModified;
     const response = await axios.get(url, {
       timeout: opts.timeout || 15000,
-      headers: {
-        // Provide a sensible User-Agent
-        "User-Agent": opts.userAgent || "Shopify-AI-Scraper/1.0 (+https://example.com)",
-        Accept: "text/html,application/xhtml+xml"
-      }
+      headers,
+      ...httpAgents,
+      maxContentLength: maxResponseBytes(opts),
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
     });
+    if (response.status === 304) {
+      console.log('scrape: not modified', url);
+      return { notModified: true, status: 304, url };
+    }
     const html = response.data;
     console.log('scrape: fetched', url, 'bytes=', html ? html.length : 0);
     const $ = cheerio.load(html);
+    let links = $('a[href]').map((_, el) => $(el).attr('href')).get();
+    // read before <link>/<meta> and the site chrome are stripped below
+    let title = $("title").text().trim();
+    let h1 = $("h1").first().text().trim();
+    const description = $('meta[name="description"]').attr("content") || "";
+    const canonical = $('link[rel="canonical"]').attr('href') || null;
+    const ogType = $('meta[property="og:type"]').attr('content') || '';
+    // JSON-LD lives in <script>, Open Graph in <meta>: both are stripped below
+    const structured = structuredData.extract($);
 
     // Remove elements that should not contribute to visible text
     $("script").remove();
@@ -45,9 +136,17 @@ async function scrape(url, opts = {}) {
     $("meta").remove();
     $("link").remove();
 
-    // Helper: collect text nodes under body, skipping empty/whitespace-only nodes
+    const mainContent = opts.mainContent !== undefined ? opts.mainContent : process.env.SCRAPE_MAIN_CONTENT !== 'false';
+    let root = $("body");
+    if (mainContent) {
+      // chrome inside the content (an article's own <header>) is kept
+      $(CHROME_SELECTORS).filter((_, el) => !$(el).parents(MAIN_SELECTORS + ', article').length).remove();
+      root = mainContentRoot($);
+    }
+
+    // Helper: collect text nodes under the content root, skipping empty/whitespace-only nodes
     let pieces = [];
-    $("body").find("*").each((i, el) => {
+    root.find("*").addBack().each((i, el) => {
       // exclude elements that are unlikely to contain user-facing text
       const tag = el.tagName ? el.tagName.toLowerCase() : "";
       if (["script", "style", "noscript", "svg", "iframe", "head", "meta", "link"].includes(tag)) return;
@@ -68,11 +167,9 @@ async function scrape(url, opts = {}) {
     });
 
     const fullText = pieces.join(" \n").replace(/\s+/g, " ").trim();
+    let blocks = capBlocks(pieces, (opts.maxLength || 2000) * 4);
 
-    // Extract some metadata (title, first h1, description)
-    const title = $("title").text().trim();
-    const h1 = $("h1").first().text().trim();
-    const description = $('meta[name="description"]').attr("content") || "";
+    const lang = ($("html").attr("lang") || "").trim();
 
     let textOut = fullText.slice(0, opts.maxLength || 2000);
 
@@ -80,30 +177,39 @@ async function scrape(url, opts = {}) {
     const shouldRender = !!opts.render || !!opts.fallbackRender;
     if ((!textOut || textOut.length < 20) && shouldRender) {
       console.log('scrape: attempting render fallback for', url);
-      const pptr = await ensurePuppeteer();
-      if (pptr) {
+      if (browserPool.isAvailable()) {
         try {
-          const browser = await pptr.launch({ args: ['--no-sandbox','--disable-setuid-sandbox'], headless: true });
-          const page = await browser.newPage();
-          await page.setUserAgent(opts.userAgent || 'Shopify-AI-Scraper/1.0 (+https://example.com)');
-          await page.goto(url, { waitUntil: 'networkidle2', timeout: opts.renderTimeout || 20000 });
-          // remove unwanted elements then get visible text
-          await page.evaluate(() => {
-            const remove = ['script','style','noscript','iframe','svg','meta','link'];
-            remove.forEach(t => document.querySelectorAll(t).forEach(n => n.remove()));
+          const rendered = await browserPool.withPage(async (page) => {
+            await page.setUserAgent(opts.userAgent || 'Shopify-AI-Scraper/1.0 (+https://example.com)');
+            await page.goto(url, { waitUntil: 'networkidle2', timeout: opts.renderTimeout || 20000 });
+            // client-rendered storefronts only have their links in the rendered DOM; read them before the menus go
+            const renderedLinks = await page.evaluate(() => Array.from(document.querySelectorAll('a[href]')).map(a => a.getAttribute('href')));
+            const renderedTitle = await page.title();
+            const renderedH1 = await page.$eval('h1', el => el.innerText,).catch(() => '');
+            // remove unwanted elements (and the site chrome) then get visible text of the main content
+            const bodyText = await page.evaluate((chrome, main) => {
+              const remove = ['script','style','noscript','iframe','svg','meta','link'];
+              remove.forEach(t => document.querySelectorAll(t).forEach(n => n.remove()));
+              if (chrome) document.querySelectorAll(chrome).forEach(n => { if (!n.closest(main + ', article')) n.remove(); });
+              const root = (chrome && document.querySelector(main)) || document.body;
+              return root.innerText || '';
+            }, mainContent ? CHROME_SELECTORS : '', MAIN_SELECTORS);
+            return {
+              bodyText,
+              title: renderedTitle,
+              h1: renderedH1,
+              links: renderedLinks
+            };
           });
-          const bodyText = await page.evaluate(() => document.body.innerText || '');
-          const title2 = await page.title();
-          const h1Text = await page.$eval('h1', el => el.innerText,).catch(() => '');
-          await browser.close();
-          textOut = (bodyText || '').replace(/\s+/g, ' ').trim().slice(0, opts.maxLength || 2000);
+          links = Array.from(new Set(links.concat(rendered.links)));
+          textOut = (rendered.bodyText || '').replace(/\s+/g, ' ').trim().slice(0, opts.maxLength || 2000);
+          blocks = capBlocks((rendered.bodyText || '').split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean), (opts.maxLength || 2000) * 4);
           // prefer rendered metadata if original empty
-          if (!title) title = title2 || '';
-          if (!h1) h1 = h1Text || '';
+          if (!title) title = rendered.title || '';
+          if (!h1) h1 = rendered.h1 || '';
         } catch (e) {
           console.log('scrape: render fallback failed for', url, e && (e.message || e));
           // rendering failed; ignore and continue with whatever we had
-          try { if (browser && browser.close) await browser.close(); } catch (_) {}
         }
       }
     }
@@ -114,13 +220,22 @@ async function scrape(url, opts = {}) {
       h1,
       description,
       text: textOut,
-      url
+      blocks,
+      lang,
+      url,
+      links,
+      canonical,
+      ogType,
+      structured,
+      status: response.status,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
     };
   } catch (error) {
     console.log('scrape: error for', url, error && (error.message || error));
     // Provide more detailed error for debugging in dev, but keep shape consistent
-    return { error: error.message || String(error), url };
+    return { error: error.message || String(error), status: error.response ? error.response.status : null, url };
   }
 }
 
-module.exports = { scrape };
+module.exports = { scrape, httpAgents };
@@ -0,0 +1,101 @@
+// search.js - BM25 page search with snippets for /api/search
+
+const indexer = require('./indexer');
+const { scoreBm25 } = require('./retriever');
+const { classifyPage } = require('./crawlRules');
+const embeddings = require('./embeddings');
+
+function escapeHtml(s) {
+  return String(s || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Tokens of a piece of text normalised the same way as indexer.tokenize,
+// so highlighting matches exactly what the index matched.
+function isQueryWord(word, terms, lang) {
+  const toks = indexer.tokenize(word, lang);
+  return toks.length > 0 && toks.some(t => terms.has(t));
+}
+
+/**
+ * Pick the window of `size` words containing the most query terms and
+ * return it HTML-escaped with matches wrapped in <mark>.
+ */
+function makeSnippet(text, terms, size = 30, lang) {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  if (!words.length) return '';
+  const hits = words.map(w => (isQueryWord(w, terms, lang) ? 1 : 0));
+  let best = 0;
+  let bestScore = -1;
+  let windowScore = 0;
+  for (let i = 0; i < words.length; i++) {
+    windowScore += hits[i];
+    if (i >= size) windowScore -= hits[i - size];
+    if (i >= size - 1 || i === words.length - 1) {
+      if (windowScore > bestScore) { bestScore = windowScore; best = Math.max(0, i - size + 1); }
+    }
+  }
+  const slice = words.slice(best, best + size);
+  const html = slice
+    .map((w, i) => (hits[best + i] ? `<mark>${escapeHtml(w)}</mark>` : escapeHtml(w)))
+    .join(' ');
+  return (best > 0 ? '… ' : '') + html + (best + size < words.length ? ' …' : '');
+}
+
+/**
+ * Rank a shop's pages for a free-text query.
+ * Scores are BM25 over the stored page postings; pages whose title or h1
+ * contains the whole query as a phrase are boosted. opts.types limits
+ * results to those page types (product, collection, blog, policy, page).
+ * opts.queryVector adds semantic matches: each page scores its best chunk's
+ * cosine similarity, blended with BM25 (embeddings.hybridScores).
+ * Returns [{ url, title, type, snippet, score }] best first.
+ */
+function searchPages(data, query, opts = {}) {
+  const limit = opts.limit || 20;
+  const phraseBoost = opts.phraseBoost || 2;
+  if (!data || !data.index) return [];
+  const lang = data.lang;
+  const qTokens = indexer.tokenize(query, lang);
+  if (!qTokens.length && !opts.queryVector) return [];
+  // shop files written before doc stats existed get them computed on read
+  const pages = indexer.knowledgePages(data);
+  const docStats = data.docStats || indexer.buildDocStats(pages, { lang });
+  const stats = Object.assign({ postings: data.index }, docStats);
+  const keyword = scoreBm25(qTokens, stats, { idKey: 'url' });
+
+  const pagesByUrl = new Map(pages.map(p => [p.url, p]));
+  // padded so the phrase only matches whole tokens ("hat" is not in "chat")
+  const phrase = ` ${qTokens.join(' ')} `;
+  const hasPhrase = (text) => ` ${indexer.tokenize(text, lang).join(' ')} `.includes(phrase);
+  const terms = new Set(qTokens);
+  for (const [url, base] of keyword.entries()) {
+    const page = pagesByUrl.get(url) || { url };
+    if (hasPhrase(page.title) || hasPhrase(page.h1)) keyword.set(url, base * phraseBoost);
+  }
+  const scores = embeddings.hybridScores(keyword, embeddings.similarities(data.vectors, opts.queryVector, { byUrl: true }));
+
+  const types = opts.types && opts.types.length ? new Set(opts.types) : null;
+  const results = [];
+  for (const [url, score] of scores.entries()) {
+    const page = pagesByUrl.get(url);
+    // vectors can name pages a later crawl dropped
+    if (!page) continue;
+    const type = page.type || classifyPage(url);
+    if (types && !types.has(type)) continue;
+    results.push({ url, title: page.title || '', type, page, score });
+  }
+  results.sort((a, b) => b.score - a.score);
+  return results.slice(0, limit).map(r => ({
+    url: r.url,
+    title: r.title,
+    type: r.type,
+    snippet: makeSnippet(r.page.text || r.page.description || '', terms, opts.snippetWords, lang),
+    score: Math.round(r.score * 1000) / 1000
+  }));
+}
+
+module.exports = { searchPages, makeSnippet };
@@ -20,6 +20,14 @@ function generateNonce(length = 16) {
   return crypto.randomBytes(length).toString('hex');
 }
 
+// Constant-time comparison of two digests (strings); false when lengths differ
+function digestsEqual(a, b) {
+  const bufferA = Buffer.from(a, 'utf8');
+  const bufferB = Buffer.from(b, 'utf8');
+  if (bufferA.length !== bufferB.length) return false;
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
 function verifyHmac(query) {
   // query: object of query params from callback (req.query)
   const { hmac, ...rest } = query;
@@ -37,12 +45,21 @@ function verifyHmac(query) {
     .digest('hex');
 
   // Use timing-safe comparison
-  const bufferA = Buffer.from(digest, 'utf8');
-  const bufferB = Buffer.from(hmac, 'utf8');
-  if (bufferA.length !== bufferB.length) return false;
-  const ok = crypto.timingSafeEqual(bufferA, bufferB);
+  const ok = digestsEqual(digest, hmac);
   console.log('shopify: verifyHmac result=', ok);
-  return crypto.timingSafeEqual(bufferA, bufferB);
+  return ok;
+}
+
+/**
+ * Verify a webhook delivery: X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256
+ * of the raw request body (exact bytes, before any JSON parsing) keyed with
+ * the app secret.
+ */
+function verifyWebhookHmac(rawBody, hmacHeader) {
+  const secret = process.env.SHOPIFY_API_SECRET || '';
+  if (!hmacHeader || !secret || !Buffer.isBuffer(rawBody)) return false;
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+  return digestsEqual(digest, hmacHeader);
 }
 
 async function getAccessToken(shop, code) {
@@ -60,4 +77,57 @@ async function getAccessToken(shop, code) {
   return resp.data; // should contain access_token and scope
 }
 
-module.exports = { buildInstallUrl, verifyHmac, getAccessToken, generateNonce };
+function apiVersion() {
+  return process.env.SHOPIFY_API_VERSION || '2025-07';
+}
+
+// Time until the cost bucket holds `needed` points again
+function refillWaitMs(status, needed) {
+  const missing = needed - (status.currentlyAvailable || 0);
+  return missing > 0 ? Math.ceil(missing / (status.restoreRate || 50)) * 1000 : 0;
+}
+
+/**
+ * Run an Admin GraphQL query for a shop with its offline access token.
+ * Retries when Shopify reports THROTTLED, waiting for the cost bucket to
+ * refill, and after a success waits while the bucket holds less than the
+ * query just cost, so a paging loop does not run into THROTTLED. A query
+ * over the single-query limit (MAX_COST_EXCEEDED) can never succeed and
+ * throws with its requested cost. Throws on HTTP errors and on GraphQL
+ * `errors`.
+ */
+async function adminGraphql(shop, accessToken, query, variables = {}, attempt = 0) {
+  const url = `https://${shop}/admin/api/${apiVersion()}/graphql.json`;
+  const resp = await axios.post(url, { query, variables }, {
+    headers: { 'X-Shopify-Access-Token': accessToken, 'Content-Type': 'application/json' },
+    timeout: 30000
+  });
+  const body = resp.data || {};
+  const cost = body.extensions?.cost || {};
+  const status = cost.throttleStatus || {};
+  if (body.errors && body.errors.length) {
+    const codes = body.errors.map(e => e?.extensions?.code);
+    if (codes.includes('MAX_COST_EXCEEDED')) {
+      const err = new Error(`Shopify GraphQL query cost ${cost.requestedQueryCost || 'unknown'} exceeds the limit of ${status.maximumAvailable || 1000}`);
+      err.graphqlErrors = body.errors;
+      throw err;
+    }
+    if (codes.includes('THROTTLED') && attempt < 5) {
+      const waitMs = Math.max(1000, refillWaitMs(status, cost.requestedQueryCost || 100));
+      console.log('shopify: graphql throttled for', shop, 'waiting', waitMs, 'ms');
+      await new Promise(r => setTimeout(r, waitMs));
+      return adminGraphql(shop, accessToken, query, variables, attempt + 1);
+    }
+    const err = new Error('Shopify GraphQL error: ' + body.errors.map(e => e.message).join('; '));
+    err.graphqlErrors = body.errors;
+    throw err;
+  }
+  const waitMs = refillWaitMs(status, cost.actualQueryCost || 0);
+  if (waitMs) {
+    console.log('shopify: graphql cost bucket low for', shop, 'waiting', waitMs, 'ms');
+    await new Promise(r => setTimeout(r, waitMs));
+  }
+  return body.data;
+}
+
+module.exports = { buildInstallUrl, verifyHmac, verifyWebhookHmac, getAccessToken, generateNonce, adminGraphql, apiVersion };
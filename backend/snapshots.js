@@ -0,0 +1,115 @@
+// snapshots.js - versioned crawl snapshots with a page-loss guard, diffs and retention
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+/**
+ * Every finished crawl is stored as a snapshot: its pages, aggregated text
+ * and learned boilerplate (`content`) plus metadata (job, page count, index
+ * language). The shop's live record names the snapshot it was built from in
+ * `activeSnapshot`, so a bad crawl can be rolled back by re-indexing an
+ * older snapshot's content.
+ *
+ * A crawl that loses more than CRAWL_MAX_PAGE_LOSS (default 0.5) of the
+ * active pages is stored with status 'rejected' and not promoted; e.g. a
+ * store that showed its password page for a day keeps yesterday's index.
+ * The newest SNAPSHOT_RETENTION (default 10) snapshots per shop are kept,
+ * and the active one always.
+ */
+
+function maxPageLoss() {
+  const v = parseFloat(process.env.CRAWL_MAX_PAGE_LOSS || '0.5');
+  return Number.isFinite(v) ? v : 0.5;
+}
+
+/**
+ * Whether a crawl of `nextCount` pages may replace one of `prevCount`.
+ * Returns { ok, lossShare, maxLoss }.
+ */
+function checkPageLoss(prevCount, nextCount) {
+  const maxLoss = maxPageLoss();
+  const lossShare = prevCount > 0 ? Math.max(0, prevCount - nextCount) / prevCount : 0;
+  return { ok: lossShare <= maxLoss, lossShare: Math.round(lossShare * 1000) / 1000, maxLoss };
+}
+
+/**
+ * Store a snapshot of a crawl result for `shop`. meta: { status, jobId,
+ * kind, lang, reason }. Returns the stored metadata (without content), or
+ * null when the write failed.
+ */
+function create(shop, result, meta = {}) {
+  const snapshot = Object.assign({
+    id: crypto.randomBytes(8).toString('hex'),
+    shop,
+    createdAt: Date.now(),
+    status: 'promoted',
+    jobId: null,
+    kind: null,
+    lang: null,
+    pageCount: (result.pages || []).length
+  }, meta, {
+    content: {
+      pages: result.pages || [],
+      aggregated: result.aggregated || '',
+      boilerplate: result.boilerplate || []
+    }
+  });
+  if (!storage.writeSnapshot(shop, snapshot)) return null;
+  const { content, ...stored } = snapshot;
+  console.log('snapshots: stored', stored.id, 'for', shop, stored.status, 'pages=', stored.pageCount);
+  return stored;
+}
+
+/**
+ * Records stored before snapshots existed have pages but no activeSnapshot;
+ * keep them as a 'baseline' snapshot so the first crawl can be rolled back.
+ */
+function ensureBaseline(shop, record) {
+  if (!record || record.activeSnapshot || !(record.pages || []).length) return null;
+  const snap = create(shop, record, { status: 'baseline', kind: 'baseline', lang: record.lang || null });
+  if (snap) storage.writeShopData(shop, { activeSnapshot: snap.id });
+  return snap;
+}
+
+// Snapshot metadata, newest first, with `active` marking the live one
+function list(shop, activeId) {
+  return storage.listSnapshots(shop)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(s => Object.assign({}, s, { active: s.id === activeId }));
+}
+
+function get(shop, id) {
+  return storage.readSnapshot(shop, id);
+}
+
+function pageKey(p) {
+  return p.contentHash || `${p.title || ''}\n${p.text || ''}`;
+}
+
+/**
+ * Page-level differences between two snapshots: urls added and removed in
+ * `to`, and urls present in both whose content changed.
+ */
+function diff(from, to) {
+  const before = new Map((from.content.pages || []).map(p => [p.url, p]));
+  const after = new Map((to.content.pages || []).map(p => [p.url, p]));
+  const out = { added: [], removed: [], changed: [], unchanged: 0 };
+  for (const [url, page] of after) {
+    const prev = before.get(url);
+    if (!prev) out.added.push(url);
+    else if (pageKey(prev) !== pageKey(page)) out.changed.push(url);
+    else out.unchanged++;
+  }
+  for (const url of before.keys()) if (!after.has(url)) out.removed.push(url);
+  return out;
+}
+
+// Delete all but the newest SNAPSHOT_RETENTION snapshots, never the active one
+function prune(shop, activeId) {
+  const keep = Math.max(1, parseInt(process.env.SNAPSHOT_RETENTION || '10', 10));
+  const stale = list(shop, activeId).slice(keep).filter(s => !s.active);
+  for (const s of stale) storage.deleteSnapshot(shop, s.id);
+  if (stale.length) console.log('snapshots: pruned', stale.length, 'for', shop);
+}
+
+module.exports = { checkPageLoss, create, ensureBaseline, list, get, diff, prune };
@@ -0,0 +1,366 @@
+// sqliteStore.js - storage adapter backed by a SQLite database (better-sqlite3)
+
+const fs = require('fs');
+const path = require('path');
+const { shopKey } = require('./jsonStore');
+
+/**
+ * Shop data split over tables so a request can load only what it needs:
+ *   shops     one row per shop: every top-level field that has no table of
+ *             its own (lang, catalog, settings, docStats, ...) as JSON `meta`,
+ *             plus the list of table-backed fields the shop has
+ *   pages     crawled pages in crawl order
+ *   chunks    retrieval chunks
+ *   postings  token -> postings, kind 'page' (the `index` field) or
+ *             'chunk' (`chunkIndex.postings`; its lengths stay in meta)
+ *   vectors   the shop's chunk embeddings (see embeddings.js)
+ *   crawl_jobs
+ *   snapshots crawl snapshots: metadata and content stored apart so
+ *             listing them never parses pages
+ * Rows are keyed by jsonStore.shopKey, so "https://shop.com/" and
+ * "shop.com" are one shop here too; keys stored raw by earlier versions are
+ * normalized when the database is opened (the newer record wins when both
+ * exist). Every write runs in one transaction. The database file is SQLITE_PATH
+ * (default data/shops.db) and runs in WAL mode so reads do not wait for a
+ * crawl being written.
+ */
+
+const TABLE_FIELDS = ['pages', 'chunks', 'index', 'chunkIndex', 'vectors'];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS shops (
+  shop TEXT PRIMARY KEY,
+  meta TEXT NOT NULL,
+  tables TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS pages (
+  shop TEXT NOT NULL,
+  pos INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (shop, pos)
+);
+CREATE TABLE IF NOT EXISTS chunks (
+  shop TEXT NOT NULL,
+  pos INTEGER NOT NULL,
+  id TEXT NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (shop, pos)
+);
+CREATE TABLE IF NOT EXISTS postings (
+  shop TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  token TEXT NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (shop, kind, token)
+);
+CREATE TABLE IF NOT EXISTS vectors (
+  shop TEXT PRIMARY KEY,
+  data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS snapshots (
+  shop TEXT NOT NULL,
+  id TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  meta TEXT NOT NULL,
+  content TEXT NOT NULL,
+  PRIMARY KEY (shop, id)
+);
+CREATE TABLE IF NOT EXISTS crawl_jobs (
+  id TEXT PRIMARY KEY,
+  shop TEXT,
+  data TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+`;
+
+let db = null;
+let statements = null;
+
+function dbPath() {
+  return process.env.SQLITE_PATH || path.join(__dirname, 'data', 'shops.db');
+}
+
+// Open (and create) the database on first use
+function open() {
+  if (db) return db;
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('better-sqlite3 is not installed; run npm install in backend/ or use STORAGE_BACKEND=json');
+  }
+  const file = dbPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(SCHEMA);
+  normalizeShopKeys();
+  statements = {
+    getShop: db.prepare('SELECT meta, tables FROM shops WHERE shop = ?'),
+    putShop: db.prepare('INSERT INTO shops (shop, meta, tables, updated_at) VALUES (?, ?, ?, ?) ON CONFLICT(shop) DO UPDATE SET meta = excluded.meta, tables = excluded.tables, updated_at = excluded.updated_at'),
+    listShops: db.prepare('SELECT shop FROM shops ORDER BY shop'),
+    getPages: db.prepare('SELECT data FROM pages WHERE shop = ? ORDER BY pos'),
+    delPages: db.prepare('DELETE FROM pages WHERE shop = ?'),
+    putPage: db.prepare('INSERT INTO pages (shop, pos, url, data) VALUES (?, ?, ?, ?)'),
+    getChunks: db.prepare('SELECT data FROM chunks WHERE shop = ? ORDER BY pos'),
+    delChunks: db.prepare('DELETE FROM chunks WHERE shop = ?'),
+    putChunk: db.prepare('INSERT INTO chunks (shop, pos, id, data) VALUES (?, ?, ?, ?)'),
+    getPostings: db.prepare('SELECT token, data FROM postings WHERE shop = ? AND kind = ?'),
+    delPostings: db.prepare('DELETE FROM postings WHERE shop = ? AND kind = ?'),
+    putPosting: db.prepare('INSERT INTO postings (shop, kind, token, data) VALUES (?, ?, ?, ?)'),
+    getVectors: db.prepare('SELECT data FROM vectors WHERE shop = ?'),
+    delVectors: db.prepare('DELETE FROM vectors WHERE shop = ?'),
+    putVectors: db.prepare('INSERT INTO vectors (shop, data) VALUES (?, ?)'),
+    putJob: db.prepare('INSERT INTO crawl_jobs (id, shop, data, updated_at) VALUES (?, ?, ?, ?) ON CONFLICT(id) DO UPDATE SET shop = excluded.shop, data = excluded.data, updated_at = excluded.updated_at'),
+    listJobs: db.prepare('SELECT data FROM crawl_jobs'),
+    delJob: db.prepare('DELETE FROM crawl_jobs WHERE id = ?'),
+    putSnapshot: db.prepare('INSERT INTO snapshots (shop, id, created_at, meta, content) VALUES (?, ?, ?, ?, ?) ON CONFLICT(shop, id) DO UPDATE SET created_at = excluded.created_at, meta = excluded.meta, content = excluded.content'),
+    listSnapshots: db.prepare('SELECT meta FROM snapshots WHERE shop = ? ORDER BY created_at'),
+    getSnapshot: db.prepare('SELECT meta, content FROM snapshots WHERE shop = ? AND id = ?'),
+    delSnapshot: db.prepare('DELETE FROM snapshots WHERE shop = ? AND id = ?')
+  };
+  console.log('storage: opened SQLite database', file);
+  return db;
+}
+
+const SHOP_TABLES = ['shops', 'pages', 'chunks', 'postings', 'vectors'];
+
+// Rewrite shop keys stored before rows were keyed by shopKey()
+function normalizeShopKeys() {
+  const raw = db.prepare('SELECT shop, updated_at FROM shops ORDER BY updated_at').all().filter(r => shopKey(r.shop) !== r.shop);
+  if (!raw.length) return;
+  db.transaction(() => {
+    for (const { shop, updated_at: updatedAt } of raw) {
+      const key = shopKey(shop);
+      const existing = db.prepare('SELECT updated_at FROM shops WHERE shop = ?').get(key);
+      const keepExisting = existing && existing.updated_at >= updatedAt;
+      for (const table of SHOP_TABLES) {
+        if (keepExisting) db.prepare(`DELETE FROM ${table} WHERE shop = ?`).run(shop);
+        else {
+          db.prepare(`DELETE FROM ${table} WHERE shop = ?`).run(key);
+          db.prepare(`UPDATE ${table} SET shop = ? WHERE shop = ?`).run(key, shop);
+        }
+      }
+      // snapshot ids are random, so both records' snapshots can be kept
+      db.prepare('UPDATE OR IGNORE snapshots SET shop = ? WHERE shop = ?').run(key, shop);
+    }
+  })();
+  console.log('storage: normalized', raw.length, 'SQLite shop keys');
+}
+
+function replacePostings(shop, kind, postings) {
+  statements.delPostings.run(shop, kind);
+  for (const [token, list] of Object.entries(postings || {})) statements.putPosting.run(shop, kind, token, JSON.stringify(list));
+}
+
+function readPostings(shop, kind) {
+  const out = {};
+  for (const row of statements.getPostings.all(shop, kind)) out[row.token] = JSON.parse(row.data);
+  return out;
+}
+
+/**
+ * Merge `data` into the shop's stored record (top-level keys replace), in
+ * one transaction. opts.raw stores `data` exactly as given instead (used
+ * by migrations).
+ */
+function writeShopData(shop, data, opts = {}) {
+  shop = shopKey(shop);
+  try {
+    open();
+    db.transaction(() => {
+      const row = opts.raw ? null : statements.getShop.get(shop);
+      const meta = row ? JSON.parse(row.meta) : {};
+      const tables = new Set(row ? JSON.parse(row.tables) : []);
+      if (opts.raw) {
+        statements.delPages.run(shop);
+        statements.delChunks.run(shop);
+        replacePostings(shop, 'page', null);
+        replacePostings(shop, 'chunk', null);
+        statements.delVectors.run(shop);
+      }
+      for (const [key, value] of Object.entries(data)) {
+        if (value === undefined) continue;
+        if (!TABLE_FIELDS.includes(key)) { meta[key] = value; continue; }
+        if (value === null) tables.delete(key); else tables.add(key);
+        if (key === 'pages') {
+          statements.delPages.run(shop);
+          (value || []).forEach((p, i) => statements.putPage.run(shop, i, p.url || '', JSON.stringify(p)));
+        } else if (key === 'chunks') {
+          statements.delChunks.run(shop);
+          (value || []).forEach((c, i) => statements.putChunk.run(shop, i, c.id || '', JSON.stringify(c)));
+        } else if (key === 'index') {
+          replacePostings(shop, 'page', value);
+        } else if (key === 'vectors') {
+          statements.delVectors.run(shop);
+          if (value) statements.putVectors.run(shop, JSON.stringify(value));
+        } else {
+          const { postings, ...rest } = value || {};
+          replacePostings(shop, 'chunk', postings);
+          meta.chunkIndex = rest;
+        }
+      }
+      // only a crawl (new pages) moves lastCrawledAt; e.g. catalog syncs must not postpone recrawls
+      if (data.pages && !opts.raw) meta.lastCrawledAt = Date.now();
+      statements.putShop.run(shop, JSON.stringify(meta), JSON.stringify([...tables]), Date.now());
+    })();
+    console.log('storage: wrote data for', shop, 'to', dbPath(), 'pages=', data.pages ? data.pages.length : '(unchanged)');
+    return true;
+  } catch (e) {
+    console.error('storage write error', e);
+    return false;
+  }
+}
+
+/**
+ * The shop's stored record, or null. `fields` (top-level keys) limits what
+ * is loaded: only the tables behind the requested fields are read.
+ */
+function readShopData(shop, fields) {
+  shop = shopKey(shop);
+  try {
+    console.log('storage: readShopData for', shop);
+    open();
+    const row = statements.getShop.get(shop);
+    if (!row) return null;
+    const meta = JSON.parse(row.meta);
+    const tables = JSON.parse(row.tables);
+    const want = (key) => !fields || fields.includes(key);
+    const out = {};
+    for (const [key, value] of Object.entries(meta)) {
+      if (key !== 'chunkIndex' && want(key)) out[key] = value;
+    }
+    if (tables.includes('pages') && want('pages')) out.pages = statements.getPages.all(shop).map(r => JSON.parse(r.data));
+    if (tables.includes('chunks') && want('chunks')) out.chunks = statements.getChunks.all(shop).map(r => JSON.parse(r.data));
+    if (tables.includes('index') && want('index')) out.index = readPostings(shop, 'page');
+    if (tables.includes('vectors') && want('vectors')) {
+      const row = statements.getVectors.get(shop);
+      if (row) out.vectors = JSON.parse(row.data);
+    }
+    if (tables.includes('chunkIndex') && want('chunkIndex')) out.chunkIndex = Object.assign({ postings: readPostings(shop, 'chunk') }, meta.chunkIndex);
+    return out;
+  } catch (e) {
+    console.error('storage read error', e);
+    return null;
+  }
+}
+
+// Remove the shop's record, tables and snapshots in one transaction
+function deleteShopData(shop) {
+  shop = shopKey(shop);
+  try {
+    open();
+    const existed = !!statements.getShop.get(shop);
+    db.transaction(() => {
+      for (const table of SHOP_TABLES.concat('snapshots')) {
+        db.prepare(`DELETE FROM ${table} WHERE shop = ?`).run(shop);
+      }
+    })();
+    console.log('storage: deleted data for', shop);
+    return existed;
+  } catch (e) {
+    console.error('storage delete error', e);
+    return false;
+  }
+}
+
+function listShops() {
+  try {
+    open();
+    const shops = statements.listShops.all().map(r => r.shop);
+    console.log('storage: listShops ->', shops.length, 'shops');
+    return shops;
+  } catch (e) {
+    console.error('storage list error', e);
+    return [];
+  }
+}
+
+function getAllShopData() {
+  const out = {};
+  for (const s of listShops()) out[s] = readShopData(s);
+  return out;
+}
+
+function writeCrawlJob(job) {
+  try {
+    open();
+    statements.putJob.run(job.id, job.shop || null, JSON.stringify(job), Date.now());
+    return true;
+  } catch (e) {
+    console.error('storage: crawl job write error', e);
+    return false;
+  }
+}
+
+function listCrawlJobs() {
+  try {
+    open();
+    return statements.listJobs.all().map(r => JSON.parse(r.data));
+  } catch (e) {
+    console.error('storage: crawl job list error', e);
+    return [];
+  }
+}
+
+function deleteCrawlJob(id) {
+  try {
+    open();
+    statements.delJob.run(id);
+  } catch (e) { /* already gone */ }
+}
+
+function writeSnapshot(shop, snapshot) {
+  shop = shopKey(shop);
+  try {
+    open();
+    const { content, ...meta } = snapshot;
+    statements.putSnapshot.run(shop, snapshot.id, snapshot.createdAt || Date.now(), JSON.stringify(meta), JSON.stringify(content || {}));
+    return true;
+  } catch (e) {
+    console.error('storage: snapshot write error', e);
+    return false;
+  }
+}
+
+function listSnapshots(shop) {
+  shop = shopKey(shop);
+  try {
+    open();
+    return statements.listSnapshots.all(shop).map(r => JSON.parse(r.meta));
+  } catch (e) {
+    console.error('storage: snapshot list error', e);
+    return [];
+  }
+}
+
+function readSnapshot(shop, id) {
+  shop = shopKey(shop);
+  try {
+    open();
+    const row = statements.getSnapshot.get(shop, id);
+    return row ? Object.assign(JSON.parse(row.meta), { content: JSON.parse(row.content) }) : null;
+  } catch (e) {
+    console.error('storage: snapshot read error', e);
+    return null;
+  }
+}
+
+function deleteSnapshot(shop, id) {
+  shop = shopKey(shop);
+  try {
+    open();
+    statements.delSnapshot.run(shop, id);
+  } catch (e) { /* already gone */ }
+}
+
+function close() {
+  if (db) db.close();
+  db = null;
+  statements = null;
+}
+
+module.exports = { writeShopData, readShopData, deleteShopData, listShops, getAllShopData, writeCrawlJob, listCrawlJobs, deleteCrawlJob, writeSnapshot, listSnapshots, readSnapshot, deleteSnapshot, close };
@@ -0,0 +1,89 @@
+// sse.js - Server-Sent Events helpers (relaying upstream streams to the widget)
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Switch an express response into event-stream mode.
+ * Returns send(event, data) which writes one JSON-encoded event.
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  if (res.flushHeaders) res.flushHeaders();
+  return function send(event, data) {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+/**
+ * Read an upstream SSE body (a Node readable stream, e.g. axios
+ * responseType 'stream') and call onData(payload) for each `data:` line.
+ * The OpenAI/OpenRouter `[DONE]` sentinel, comment lines and payloads that
+ * are not JSON are skipped. Bytes are decoded across chunk boundaries, so a
+ * multi-byte character split between two network reads is not mangled.
+ * Resolves when the upstream stream ends; rejects (and stops reading) when a
+ * payload carries `error` or onData throws.
+ */
+function readEventStream(stream, onData) {
+  return new Promise((resolve, reject) => {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      if (stream.destroy) stream.destroy();
+      reject(err);
+    };
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return; // comments (": keep-alive") and other fields
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+      let data;
+      try { data = JSON.parse(payload); } catch (e) { return; /* ignore malformed keep-alive payloads */ }
+      if (data && data.error) {
+        // providers report failures after a 200 as an in-stream error object
+        const err = new Error(`upstream stream error: ${data.error.message || JSON.stringify(data.error)}`);
+        err.upstream = data.error;
+        // a numeric code is the HTTP status the provider would have sent (429, 502, ...)
+        if (typeof data.error.code === 'number') err.response = { status: data.error.code };
+        throw err;
+      }
+      onData(data);
+    };
+    stream.on('data', (chunk) => {
+      if (failed) return;
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      let nl;
+      try {
+        while ((nl = buffer.indexOf('\n')) >= 0) {
+          const line = buffer.slice(0, nl).replace(/\r$/, '');
+          buffer = buffer.slice(nl + 1);
+          handleLine(line);
+        }
+      } catch (err) {
+        fail(err);
+      }
+    });
+    stream.on('end', () => {
+      if (failed) return;
+      buffer += decoder.end();
+      try {
+        if (buffer) handleLine(buffer.trim());
+      } catch (err) {
+        return fail(err);
+      }
+      resolve();
+    });
+    stream.on('error', fail);
+  });
+}
+
+module.exports = { openEventStream, readEventStream };
@@ -1,81 +1,160 @@
-const fs = require('fs');
-const path = require('path');
+// storage.js - shop data and crawl job persistence behind a pluggable backend
 
-const dataDir = path.join(__dirname, 'data');
+/**
+ * Every module stores through this interface; the backend is chosen with
+ * STORAGE_BACKEND:
+ *   json    (default) one JSON file per shop in data/ (jsonStore.js)
+ *   sqlite  a SQLite database with pages, chunks and postings tables
+ *           (sqliteStore.js); move existing files over with
+ *           `npm run migrate-storage`
+ * Adapters implement:
+ *   writeShopData(shop, data, { raw })  merge top-level fields (raw: replace as-is)
+ *   readShopData(shop, fields)          record or null; `fields` limits what is loaded
+ *   deleteShopData(shop)                the record and its snapshots (app uninstalled)
+ *   listShops(), getAllShopData()
+ *   writeCrawlJob(job), listCrawlJobs(), deleteCrawlJob(id)
+ *   writeSnapshot(shop, snapshot)       crawl snapshot, { ...meta, content }
+ *   listSnapshots(shop)                 metadata only (no content)
+ *   readSnapshot(shop, id), deleteSnapshot(shop, id)
+ *
+ * Reads are served from an in-process LRU cache holding one parsed record
+ * per shop (SHOP_CACHE_MAX_ENTRIES, default 50; SHOP_CACHE_MAX_MB, default
+ * 100, 0 disables it). A read for some fields loads only the fields the
+ * cached record lacks and returns them projected from it; writeShopData and
+ * deleteShopData drop the shop's record. Cached values are shared between
+ * callers, so treat what readShopData returns as read-only.
+ */
 
-function ensureDir() {
-  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+const { createLru } = require('./lruCache');
+const { shopKey } = require('./jsonStore');
+
+const BACKENDS = {
+  json: './jsonStore',
+  sqlite: './sqliteStore'
+};
+
+let adapter = null;
+let cache = null;
+
+function backendName() {
+  return (process.env.STORAGE_BACKEND || 'json').toLowerCase();
 }
 
-function shopToFilename(shop) {
-  // keep only host portion if full URL provided
-  try {
-    const u = new URL(shop);
-    shop = u.host;
-  } catch (e) {
-    // not a URL, assume domain
+function getAdapter(name) {
+  if (!BACKENDS[name]) throw new Error(`Unknown storage backend ${name} (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  return require(BACKENDS[name]);
+}
+
+function current() {
+  if (!adapter) {
+    adapter = getAdapter(backendName());
+    console.log('storage: using', backendName(), 'backend');
   }
-  // sanitize
-  return shop.replace(/[^a-z0-9.-]/gi, '_') + '.json';
+  return adapter;
 }
 
-function filePathForShop(shop) {
-  ensureDir();
-  return path.join(dataDir, shopToFilename(shop));
+function shopCache() {
+  if (!cache) {
+    cache = createLru({
+      maxEntries: parseInt(process.env.SHOP_CACHE_MAX_ENTRIES || '50', 10),
+      maxBytes: parseInt(process.env.SHOP_CACHE_MAX_MB || '100', 10) * 1024 * 1024
+    });
+  }
+  return cache;
 }
 
-function writeShopData(shop, data) {
+// "https://shop.com", "shop.com" and listShops()' sanitized "localhost_3000"
+// name the same stored record, so they share a cache entry too
+function cacheKey(shop) {
+  return shopKey(String(shop));
+}
+
+function writeShopData(shop, data, opts) {
   try {
-    ensureDir();
-    const fp = filePathForShop(shop);
-    // merge with existing to preserve installedAt and other metadata
-    let existing = null;
-    try { existing = readShopData(shop) || {}; } catch (e) { existing = {}; }
-    const out = Object.assign({}, existing, data, { lastCrawledAt: Date.now() });
-    fs.writeFileSync(fp, JSON.stringify(out, null, 2), 'utf8');
-    console.log('storage: wrote data for', shop, 'to', fp, 'pages=', (out.pages && out.pages.length) || 0);
-    return true;
-  } catch (e) {
-    console.error('storage write error', e);
-    return false;
+    return current().writeShopData(shop, data, opts);
+  } finally {
+    shopCache().delete(cacheKey(shop));
   }
 }
 
-function readShopData(shop) {
-  try {
-    console.log('storage: readShopData for', shop);
-    const fp = filePathForShop(shop);
-    if (!fs.existsSync(fp)) return null;
-    const raw = fs.readFileSync(fp, 'utf8');
-    return JSON.parse(raw);
-  } catch (e) {
-    console.error('storage read error', e);
-    return null;
+function project(data, fields) {
+  const out = {};
+  for (const f of fields) if (f in data) out[f] = data[f];
+  return out;
+}
+
+// The cache entry is { data, loaded, bytes }: loaded is the set of fields
+// read so far, or null once the whole record is in
+function readShopData(shop, fields) {
+  const key = cacheKey(shop);
+  const entry = shopCache().get(key);
+  if (entry && (!entry.loaded || (fields && fields.every(f => entry.loaded.has(f))))) {
+    return fields ? project(entry.data, fields) : entry.data;
+  }
+  const load = fields && entry ? fields.filter(f => !entry.loaded.has(f)) : fields;
+  const data = current().readShopData(shop, load);
+  // a missing or unreadable record is not cached; the next read tries again
+  if (!data) return data;
+  const size = Buffer.byteLength(JSON.stringify(data));
+  if (!load) {
+    shopCache().set(key, { data, loaded: null, bytes: size }, size);
+    return fields ? project(data, fields) : data;
   }
+  const merged = {
+    data: Object.assign({}, entry && entry.data, data),
+    loaded: new Set([...(entry ? entry.loaded : []), ...load]),
+    bytes: (entry ? entry.bytes : 0) + size
+  };
+  shopCache().set(key, merged, merged.bytes);
+  return project(merged.data, fields);
 }
 
-function listShops() {
+function deleteShopData(shop) {
   try {
-    ensureDir();
-    const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json'));
-    const shops = files.map(f => f.replace(/\.json$/, ''));
-    console.log('storage: listShops ->', shops.length, 'shops');
-    return shops;
-  } catch (e) {
-    return [];
+    return current().deleteShopData(shop);
+  } finally {
+    shopCache().delete(cacheKey(shop));
   }
 }
 
+function cacheStats() {
+  return shopCache().stats();
+}
+
+function listShops() {
+  return current().listShops();
+}
+
 function getAllShopData() {
-  const shops = listShops();
-  const out = {};
-  for (const s of shops) {
-    const fp = path.join(dataDir, s + '.json');
-    try {
-      out[s] = JSON.parse(fs.readFileSync(fp, 'utf8'));
-    } catch (e) { out[s] = null; }
-  }
-  return out;
+  return current().getAllShopData();
+}
+
+function writeCrawlJob(job) {
+  return current().writeCrawlJob(job);
+}
+
+function listCrawlJobs() {
+  return current().listCrawlJobs();
+}
+
+function deleteCrawlJob(id) {
+  return current().deleteCrawlJob(id);
+}
+
+function writeSnapshot(shop, snapshot) {
+  return current().writeSnapshot(shop, snapshot);
+}
+
+function listSnapshots(shop) {
+  return current().listSnapshots(shop);
+}
+
+function readSnapshot(shop, id) {
+  return current().readSnapshot(shop, id);
+}
+
+function deleteSnapshot(shop, id) {
+  return current().deleteSnapshot(shop, id);
 }
 
-module.exports = { writeShopData, readShopData, listShops, getAllShopData };
+module.exports = { writeShopData, readShopData, deleteShopData, listShops, getAllShopData, writeCrawlJob, listCrawlJobs, deleteCrawlJob, writeSnapshot, listSnapshots, readSnapshot, deleteSnapshot, backendName, getAdapter, cacheStats };
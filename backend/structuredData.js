@@ -0,0 +1,360 @@
+// structuredData.js - JSON-LD, Open Graph and microdata extraction for scraped pages
+
+const cheerio = require('cheerio');
+
+/**
+ * Storefront themes describe products, offers, FAQs and the shop itself in
+ * <script type="application/ld+json">, og:/product: meta tags and schema.org
+ * microdata. The visible text often lacks the exact price, currency, stock
+ * state or SKU, so extract() reads them from a cheerio document (before
+ * scripts and meta tags are stripped) into:
+ *   { product: { name, brand, sku, price, currency, availability, offers },
+ *     faq: [{ question, answer }], organization: { name, url, email, telephone },
+ *     openGraph: { 'og:title': ..., 'product:price:amount': ... } }
+ * with empty parts left out; null when the page has none.
+ */
+
+const MAX_OFFERS = 50;
+const MAX_FAQ = 50;
+
+function clean(s) {
+  return String(s === undefined || s === null ? '' : s).replace(/\s+/g, ' ').trim();
+}
+
+// Answers are often HTML fragments; keep their text only
+function htmlText(s) {
+  const str = clean(s);
+  if (!/[<&]/.test(str)) return str;
+  return clean(cheerio.load(`<div>${str}</div>`)('div').text());
+}
+
+function typesOf(node) {
+  const t = node && node['@type'];
+  return (Array.isArray(t) ? t : [t]).filter(Boolean).map(x => String(x).replace(/^https?:\/\/schema\.org\//, ''));
+}
+
+// "https://schema.org/InStock" -> "InStock"
+function availabilityOf(v) {
+  return clean(v).replace(/^https?:\/\/schema\.org\//i, '') || null;
+}
+
+function nameOf(v) {
+  if (!v) return null;
+  if (Array.isArray(v)) return nameOf(v[0]);
+  if (typeof v === 'object') return clean(v.name) || null;
+  return clean(v) || null;
+}
+
+// Themes emit raw newlines inside strings and the odd trailing comma
+function parseJsonLd(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    try {
+      return JSON.parse(raw.replace(/[\u0000-\u001f]+/g, ' ').replace(/,\s*([}\]])/g, '$1'));
+    } catch (e2) {
+      return null;
+    }
+  }
+}
+
+// Every object node of a JSON-LD document, including @graph members and nested values
+function flattenNodes(doc, out = []) {
+  if (Array.isArray(doc)) {
+    for (const d of doc) flattenNodes(d, out);
+  } else if (doc && typeof doc === 'object') {
+    if (doc['@type']) out.push(doc);
+    if (doc['@graph']) flattenNodes(doc['@graph'], out);
+    if (doc.mainEntity) flattenNodes(doc.mainEntity, out);
+  }
+  return out;
+}
+
+function offersOf(offers) {
+  const list = [];
+  for (const o of Array.isArray(offers) ? offers : [offers]) {
+    if (!o || typeof o !== 'object') continue;
+    if (o.offers) list.push(...offersOf(o.offers));
+    const price = o.price !== undefined ? o.price : o.lowPrice;
+    if (price === undefined && !o.availability) continue;
+    list.push({
+      name: clean(o.name) || null,
+      sku: clean(o.sku) || null,
+      price: price !== undefined ? clean(price) : null,
+      currency: clean(o.priceCurrency) || null,
+      availability: availabilityOf(o.availability)
+    });
+  }
+  return list;
+}
+
+function productFromJsonLd(node) {
+  let offers = offersOf(node.offers);
+  // Shopify's ProductGroup lists variants as Products with their own offers
+  for (const v of [].concat(node.hasVariant || [])) {
+    for (const o of offersOf(v.offers)) offers.push(Object.assign(o, { name: o.name || clean(v.name) || null, sku: o.sku || clean(v.sku) || null }));
+  }
+  offers = offers.slice(0, MAX_OFFERS);
+  const first = offers.find(o => /InStock/i.test(o.availability || '')) || offers[0] || {};
+  return {
+    name: clean(node.name) || null,
+    brand: nameOf(node.brand),
+    sku: clean(node.sku) || first.sku || null,
+    price: first.price || null,
+    currency: first.currency || null,
+    availability: first.availability || null,
+    offers
+  };
+}
+
+function faqFromJsonLd(node) {
+  const pairs = [];
+  for (const q of [].concat(node.mainEntity || [])) {
+    if (!q || !typesOf(q).includes('Question')) continue;
+    const answer = [].concat(q.acceptedAnswer || q.suggestedAnswer || [])[0];
+    const question = clean(q.name || q.text);
+    const text = answer && htmlText(answer.text);
+    if (question && text) pairs.push({ question, answer: text });
+  }
+  return pairs;
+}
+
+function fromJsonLd($) {
+  const out = { product: null, faq: [], organization: null };
+  $('script[type="application/ld+json"]').each((_, el) => {
+    const doc = parseJsonLd($(el).contents().text());
+    for (const node of flattenNodes(doc)) {
+      const types = typesOf(node);
+      if (!out.product && (types.includes('Product') || types.includes('ProductGroup'))) out.product = productFromJsonLd(node);
+      else if (types.includes('FAQPage')) out.faq.push(...faqFromJsonLd(node));
+      else if (!out.organization && (types.includes('Organization') || types.includes('OnlineStore') || types.includes('Store'))) {
+        out.organization = { name: clean(node.name) || null, url: clean(node.url) || null, email: clean(node.email) || null, telephone: clean(node.telephone) || null };
+      }
+    }
+  });
+  return out;
+}
+
+function fromOpenGraph($) {
+  const og = {};
+  $('meta[property]').each((_, el) => {
+    const prop = $(el).attr('property');
+    const content = clean($(el).attr('content'));
+    if (/^(og|product):/.test(prop) && content && !(prop in og)) og[prop] = content;
+  });
+  return og;
+}
+
+// itemprop value: content/href/src attributes first, then the element text
+function propValue($, el) {
+  const $el = $(el);
+  return clean($el.attr('content') || $el.attr('href') || $el.attr('src') || $el.text()) || null;
+}
+
+// First itemprop=`name` under scope that does not belong to a nested itemscope
+function itemprop($, scope, name) {
+  const el = $(scope).find(`[itemprop="${name}"]`).filter((_, e) => $(e).parent().closest('[itemscope]').get(0) === scope).first();
+  return el.length ? propValue($, el.get(0)) : null;
+}
+
+function fromMicrodata($) {
+  const out = { product: null, faq: [] };
+  const productScope = $('[itemscope][itemtype*="schema.org/Product"]').get(0);
+  if (productScope) {
+    const offers = $(productScope).find('[itemprop="offers"][itemscope]').slice(0, MAX_OFFERS).map((_, o) => ({
+      name: itemprop($, o, 'name'),
+      sku: itemprop($, o, 'sku'),
+      price: itemprop($, o, 'price') || itemprop($, o, 'lowPrice'),
+      currency: itemprop($, o, 'priceCurrency'),
+      availability: availabilityOf(itemprop($, o, 'availability'))
+    })).get();
+    const brandScope = $(productScope).find('[itemprop="brand"][itemscope]').get(0);
+    const first = offers[0] || {};
+    out.product = {
+      name: itemprop($, productScope, 'name'),
+      brand: brandScope ? itemprop($, brandScope, 'name') : itemprop($, productScope, 'brand'),
+      sku: itemprop($, productScope, 'sku') || first.sku || null,
+      price: first.price || null,
+      currency: first.currency || null,
+      availability: first.availability || null,
+      offers
+    };
+  }
+  $('[itemscope][itemtype*="schema.org/Question"]').each((_, q) => {
+    const answerScope = $(q).find('[itemprop="acceptedAnswer"][itemscope]').get(0);
+    const question = itemprop($, q, 'name');
+    const answer = answerScope ? itemprop($, answerScope, 'text') : null;
+    if (question && answer) out.faq.push({ question, answer });
+  });
+  return out;
+}
+
+// Collapsible blocks that are not FAQs: menus, forms and collection facet filters
+const FAQ_SKIP = 'header, footer, nav, form, [role="navigation"], [role="banner"], [role="contentinfo"], [role="search"]';
+const FILTER_CONTAINER = /facet|filter/i;
+const FAQ_CONTAINER = /faq|accordion/i;
+const BLOCK_TAGS = 'p, div, li, dd, dt, td, th, tr, h1, h2, h3, h4, h5, h6, summary, blockquote';
+
+function containerAttrs(el) {
+  return `${(el.attribs && el.attribs.id) || ''} ${(el.attribs && el.attribs.class) || ''}`;
+}
+
+function inFilterContainer($, el) {
+  return $(el).parents().addBack().get().some(p => FILTER_CONTAINER.test(containerAttrs(p)));
+}
+
+function inFaqContainer($, el) {
+  return $(el).parents().addBack().get().some(p => FAQ_CONTAINER.test(containerAttrs(p)));
+}
+
+// Visible text of an element, without inline script/style contents;
+// block elements are separated by a space ("<p>Yes.</p><p>We</p>" -> "Yes. We")
+function elementText($, el) {
+  const copy = $(el).clone();
+  copy.find('script, style, noscript, template').remove();
+  copy.find('br').replaceWith(' ');
+  copy.find(BLOCK_TAGS).append(' ');
+  return clean(copy.text());
+}
+
+// An answer block that is mostly links is a menu, not an answer. A question
+// must read like one (ends in "?") unless the markup is an FAQ or accordion.
+function faqPair($, question, answerEls, container) {
+  const q = clean(question);
+  if (!/[?？]$/.test(q) && !(container && inFaqContainer($, container))) return null;
+  const answer = answerEls.map(el => elementText($, el)).filter(Boolean).join(' ');
+  if (q.length < 5 || q.length > 200 || answer.length < 20) return null;
+  const linkText = answerEls.reduce((n, el) => n + clean($(el).find('a').text()).length, 0);
+  if (linkText / answer.length > 0.5) return null;
+  return { question: q, answer };
+}
+
+/**
+ * Q&A pairs from FAQ markup without schema.org annotations: <details>/<summary>
+ * accordions, aria-controls accordions, <dl> definition lists and headings
+ * that end in a question mark followed by their answer. Pairs whose question
+ * does not end in "?" are kept only inside an element whose id or class names
+ * an FAQ or accordion. Header, footer, nav, forms and facet filters (where
+ * themes put collapsible menus and filter groups) are skipped.
+ */
+function fromFaqMarkup($) {
+  const pairs = [];
+  const eligible = (_, el) => !$(el).closest(FAQ_SKIP).length && !inFilterContainer($, el);
+  $('details').filter(eligible).each((_, el) => {
+    const summary = $(el).children('summary').first();
+    if (!summary.length) return;
+    const body = $(el).children().not('summary').get();
+    const pair = faqPair($, elementText($, summary.get(0)), body, el);
+    if (pair) pairs.push(pair);
+  });
+  $('[aria-controls]').filter(eligible).each((_, el) => {
+    const id = $(el).attr('aria-controls');
+    const target = id && /^[\w-]+$/.test(id) ? $(`#${id}`).get(0) : null;
+    if (!target || $(target).closest('details').length) return;
+    const pair = faqPair($, elementText($, el), [target], el);
+    if (pair) pairs.push(pair);
+  });
+  $('dl').filter(eligible).each((_, dl) => {
+    $(dl).children('dt').each((__, dt) => {
+      const answers = $(dt).nextUntil('dt', 'dd').get();
+      const pair = faqPair($, elementText($, dt), answers, dl);
+      if (pair) pairs.push(pair);
+    });
+  });
+  $('h2, h3, h4, h5, h6').filter(eligible).each((_, h) => {
+    const question = elementText($, h);
+    if (!/[?？]$/.test(question)) return;
+    const pair = faqPair($, question, $(h).nextUntil('h1, h2, h3, h4, h5, h6').get());
+    if (pair) pairs.push(pair);
+  });
+  return pairs;
+}
+
+// Fill gaps in `target` from later sources without overwriting what it has
+function fillProduct(target, source) {
+  if (!source) return target;
+  if (!target) return Object.assign({}, source);
+  for (const [k, v] of Object.entries(source)) {
+    if (target[k] === null || target[k] === undefined || (Array.isArray(target[k]) && !target[k].length)) target[k] = v;
+  }
+  return target;
+}
+
+/**
+ * Extract structured data from a cheerio document. Call before <script>
+ * and <meta> elements are removed. JSON-LD wins over microdata, which wins
+ * over og:/product: meta tags for the same product field. FAQ pairs come
+ * from FAQPage JSON-LD, Question microdata and plain FAQ markup, first
+ * occurrence of a question wins.
+ */
+function extract($) {
+  const ld = fromJsonLd($);
+  const micro = fromMicrodata($);
+  const openGraph = fromOpenGraph($);
+  let product = fillProduct(ld.product, micro.product);
+  const ogPrice = openGraph['product:price:amount'] || openGraph['og:price:amount'];
+  if (ogPrice || /product/i.test(openGraph['og:type'] || '')) {
+    product = fillProduct(product, {
+      name: openGraph['og:title'] || null,
+      price: ogPrice || null,
+      currency: openGraph['product:price:currency'] || openGraph['og:price:currency'] || null,
+      availability: availabilityOf(openGraph['product:availability'] || openGraph['og:availability']) || null,
+      offers: []
+    });
+  }
+
+  const faq = [];
+  const seenQuestions = new Set();
+  for (const pair of ld.faq.concat(micro.faq, fromFaqMarkup($))) {
+    const key = pair.question.toLowerCase();
+    if (seenQuestions.has(key) || faq.length >= MAX_FAQ) continue;
+    seenQuestions.add(key);
+    faq.push(pair);
+  }
+
+  const out = {};
+  if (product) out.product = product;
+  if (faq.length) out.faq = faq;
+  if (ld.organization) out.organization = ld.organization;
+  if (Object.keys(openGraph).length) out.openGraph = openGraph;
+  return Object.keys(out).length ? out : null;
+}
+
+function stockText(availability) {
+  if (!availability) return null;
+  if (/InStock|LimitedAvailability|OnlineOnly/i.test(availability)) return 'in stock';
+  if (/PreOrder|BackOrder/i.test(availability)) return 'available to order';
+  if (/OutOfStock|SoldOut|Discontinued/i.test(availability)) return 'out of stock';
+  return availability;
+}
+
+/**
+ * Plain-text rendering of extracted data for indexing and prompts, e.g.
+ * "Product: Hoodie. Brand: tentree. Price: 68.00 CAD. Availability: in stock."
+ * opts.faq: false leaves out the FAQ pairs. The organization block is on
+ * every page of a theme, so it is stored but not repeated here.
+ */
+function factsText(structured, opts = {}) {
+  if (!structured) return '';
+  const lines = [];
+  const p = structured.product;
+  if (p) {
+    const parts = [];
+    if (p.name) parts.push(`Product: ${p.name}.`);
+    if (p.brand) parts.push(`Brand: ${p.brand}.`);
+    if (p.sku) parts.push(`SKU: ${p.sku}.`);
+    if (p.price) parts.push(`Price: ${[p.price, p.currency].filter(Boolean).join(' ')}.`);
+    if (stockText(p.availability)) parts.push(`Availability: ${stockText(p.availability)}.`);
+    const variants = (p.offers || []).filter(o => o.name && o.price);
+    if (variants.length > 1) {
+      parts.push('Variants: ' + variants.slice(0, 20).map(o => [`${o.name}: ${o.price}`, stockText(o.availability)].filter(Boolean).join(', ')).join('; ') + '.');
+    }
+    if (parts.length) lines.push(parts.join(' '));
+  }
+  if (opts.faq !== false) {
+    for (const f of structured.faq || []) lines.push(`Q: ${f.question}\nA: ${f.answer}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { extract, factsText };
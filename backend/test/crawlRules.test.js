@@ -0,0 +1,60 @@
+// crawlRules.test.js - rule validation, URL rewriting and page types
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crawlRules = require('../crawlRules');
+
+test('validateRules accepts globs and bounded regular expressions', () => {
+  assert.strictEqual(crawlRules.validateRules({ include: ['/products/*'], exclude: ['re:^/blogs/news/tagged/'], stripParams: ['utm_*'] }), null);
+  assert.strictEqual(crawlRules.validateRules({}), null);
+});
+
+test('validateRules rejects oversized, malformed and backtracking rules', () => {
+  const bad = {
+    'not a list': { include: '/products/*' },
+    'too many patterns': { exclude: Array.from({ length: 101 }, (_, i) => `/p${i}`) },
+    'too long': { exclude: ['/' + 'a'.repeat(200)] },
+    'too many wildcards': { exclude: ['/*/*/*/*/*'] },
+    'long regex': { exclude: ['re:' + 'a'.repeat(101)] },
+    'invalid regex': { exclude: ['re:('] },
+    'nested quantifier': { exclude: ['re:^(a+)+$'] },
+    'quantified alternation': { include: ['re:(a|ab)*c'] },
+    'backreference': { exclude: ['re:(a)\\1'] }
+  };
+  for (const [name, rules] of Object.entries(bad)) assert.ok(crawlRules.validateRules(rules), name);
+});
+
+test('isAllowed applies default excludes, shop excludes and an include whitelist', () => {
+  const defaults = crawlRules.resolveRules(null);
+  assert.strictEqual(crawlRules.isAllowed('https://s.com/products/hat', defaults), true);
+  assert.strictEqual(crawlRules.isAllowed('https://s.com/cart', defaults), false);
+  assert.strictEqual(crawlRules.isAllowed('https://s.com/products/hat.json', defaults), false);
+
+  const rules = crawlRules.resolveRules({ include: ['/products/*', '/pages/*'], exclude: ['re:^/pages/old-'] });
+  assert.strictEqual(crawlRules.isAllowed('https://s.com/pages/about', rules), true);
+  assert.strictEqual(crawlRules.isAllowed('https://s.com/pages/old-about', rules), false);
+  assert.strictEqual(crawlRules.isAllowed('https://s.com/blogs/news', rules), false);
+  assert.strictEqual(crawlRules.isAllowed('not a url', rules), false);
+});
+
+test('useDefaults: false drops the default rules', () => {
+  const rules = crawlRules.resolveRules({ useDefaults: false });
+  assert.strictEqual(crawlRules.isAllowed('https://s.com/cart', rules), true);
+  assert.deepStrictEqual(rules.source, { include: [], exclude: [], stripParams: [] });
+});
+
+test('rewriteUrl strips configured parameters and uses the canonical product path', () => {
+  const rules = crawlRules.resolveRules(null);
+  const u = crawlRules.rewriteUrl(new URL('https://s.com/fr/collections/hats/products/sun-hat?variant=1&utm_source=x&color=red&filter.size=m'), rules);
+  assert.strictEqual(u.toString(), 'https://s.com/fr/products/sun-hat?color=red');
+});
+
+test('classifyPage reads the page type from the path, then og:type', () => {
+  assert.strictEqual(crawlRules.classifyPage('https://s.com/products/hat'), 'product');
+  assert.strictEqual(crawlRules.classifyPage('https://s.com/en-ca/collections/all'), 'collection');
+  assert.strictEqual(crawlRules.classifyPage('https://s.com/blogs/news/post'), 'blog');
+  assert.strictEqual(crawlRules.classifyPage('https://s.com/policies/refund-policy'), 'policy');
+  assert.strictEqual(crawlRules.classifyPage('https://s.com/pages/shipping-info'), 'policy');
+  assert.strictEqual(crawlRules.classifyPage('https://s.com/pages/about'), 'page');
+  assert.strictEqual(crawlRules.classifyPage('https://s.com/p/123', { ogType: 'product' }), 'product');
+});
@@ -0,0 +1,79 @@
+// indexer.test.js - chunking and incremental index updates
+
+const test = require('node:test');
+const assert = require('node:assert');
+const indexer = require('../indexer');
+
+const words = (n, word = 'cotton') => Array.from({ length: n }, (_, i) => `${word}${i}`).join(' ');
+
+function fullIndexes(pages, opts) {
+  const chunks = indexer.chunkPages(pages, opts);
+  return {
+    index: indexer.buildIndex(pages, opts),
+    docStats: indexer.buildDocStats(pages, opts),
+    chunks,
+    chunkIndex: indexer.buildChunkIndex(chunks, opts)
+  };
+}
+
+// postings in a stable order, so two builds can be compared
+function sortedPostings(postings, key) {
+  const out = {};
+  for (const t of Object.keys(postings).sort()) out[t] = postings[t].slice().sort((a, b) => String(a[key]).localeCompare(String(b[key])));
+  return out;
+}
+
+test('chunkPages splits text into overlapping chunks of at most chunkSize characters', () => {
+  const pages = [{ url: 'https://s.com/a', title: 'A', text: words(200) }];
+  const chunks = indexer.chunkPages(pages, { chunkSize: 200, chunkOverlap: 40 });
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) assert.ok(c.text.length <= 200, c.text.length);
+  assert.deepStrictEqual(chunks.map(c => c.id), chunks.map((_, i) => `https://s.com/a#${i}`));
+  // each chunk starts with words the previous one ended with
+  for (let i = 1; i < chunks.length; i++) {
+    const first = chunks[i].text.split(' ')[0];
+    assert.ok(chunks[i - 1].text.split(' ').includes(first), `chunk ${i} does not overlap`);
+  }
+  // nothing is lost between chunks
+  const seen = new Set(chunks.flatMap(c => c.text.split(' ')));
+  assert.strictEqual(seen.size, 200);
+});
+
+test('chunkPages cuts words longer than a chunk and keeps FAQ pairs whole', () => {
+  const pages = [{
+    url: 'https://s.com/jp',
+    title: 'FAQ',
+    text: 'あ'.repeat(450),
+    structured: { faq: [{ question: 'Do you ship abroad?', answer: 'Yes, to 30 countries.' }] }
+  }];
+  const chunks = indexer.chunkPages(pages, { chunkSize: 200, chunkOverlap: 0 });
+  assert.strictEqual(chunks[0].id, 'https://s.com/jp#faq0');
+  assert.strictEqual(chunks[0].text, 'Q: Do you ship abroad?\nA: Yes, to 30 countries.');
+  const text = chunks.slice(1);
+  assert.deepStrictEqual(text.map(c => c.text.length), [200, 200, 50]);
+});
+
+test('updateIndexes matches a full rebuild after pages are added, changed and removed', () => {
+  const opts = { lang: 'en', chunkSize: 120, chunkOverlap: 20 };
+  const before = [
+    { url: 'https://s.com/a', title: 'Hoodie', text: `Organic hoodie. ${words(40)}` },
+    { url: 'https://s.com/b', title: 'Shipping', text: 'We ship worldwide within five days.' },
+    { url: 'https://s.com/c', title: 'Returns', text: 'Returns are free for 30 days.' }
+  ];
+  const after = [
+    before[0],
+    { url: 'https://s.com/b', title: 'Shipping', text: 'We ship to Canada and the US in three days.' },
+    { url: 'https://s.com/d', title: 'Beanie', text: `Wool beanie. ${words(30, 'wool')}` }
+  ];
+  const touched = new Set(['https://s.com/b', 'https://s.com/c', 'https://s.com/d']);
+  const updated = indexer.updateIndexes(fullIndexes(before, opts), after, touched, opts);
+  const rebuilt = fullIndexes(after, opts);
+
+  assert.deepStrictEqual(sortedPostings(updated.index, 'url'), sortedPostings(rebuilt.index, 'url'));
+  assert.deepStrictEqual(updated.docStats, rebuilt.docStats);
+  assert.deepStrictEqual(updated.chunks.map(c => c.id).sort(), rebuilt.chunks.map(c => c.id).sort());
+  assert.deepStrictEqual(sortedPostings(updated.chunkIndex.postings, 'id'), sortedPostings(rebuilt.chunkIndex.postings, 'id'));
+  assert.deepStrictEqual(updated.chunkIndex.lengths, rebuilt.chunkIndex.lengths);
+  assert.strictEqual(updated.chunkIndex.count, rebuilt.chunkIndex.count);
+  assert.ok(!updated.index.return, 'postings of the removed page are gone');
+});
@@ -0,0 +1,78 @@
+// resilience.test.js - retries, model fallback and circuit breakers
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_MAX_RETRIES = '2';
+process.env.LLM_RETRY_BASE_MS = '1';
+process.env.LLM_RETRY_MAX_MS = '5';
+process.env.LLM_BREAKER_THRESHOLD = '2';
+process.env.LLM_BREAKER_COOLDOWN_MS = '60000';
+const resilience = require('../resilience');
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} } });
+
+test('isRetryable covers rate limits, server errors and network failures', () => {
+  assert.strictEqual(resilience.isRetryable(httpError(429)), true);
+  assert.strictEqual(resilience.isRetryable(httpError(503)), true);
+  assert.strictEqual(resilience.isRetryable(httpError(400)), false);
+  assert.strictEqual(resilience.isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.strictEqual(resilience.isRetryable(Object.assign(new Error('canceled'), { name: 'CanceledError', code: 'ERR_CANCELED' })), false);
+});
+
+test('runModelChain retries a model, then falls back to the next one', async () => {
+  const calls = [];
+  const { result, model } = await resilience.runModelChain(['retry-a', 'retry-b'], async (m) => {
+    calls.push(m);
+    if (m === 'retry-a') throw httpError(503);
+    return 'ok';
+  }, { providerName: 'test-fallback' });
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(model, 'retry-b');
+  assert.deepStrictEqual(calls, ['retry-a', 'retry-a', 'retry-a', 'retry-b']);
+});
+
+test('runModelChain does not retry client errors and reports every attempt', async () => {
+  let calls = 0;
+  await assert.rejects(resilience.runModelChain(['bad-request'], async () => { calls++; throw httpError(400); }, { providerName: 'test-4xx' }), (err) => {
+    assert.deepStrictEqual(err.attempts, [{ model: 'bad-request', attempt: 0, status: 400 }]);
+    return true;
+  });
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(resilience.breakerStates()['test-4xx:bad-request'].failures, 0);
+});
+
+test('a breaker counts one failure per request and opens at the threshold', async () => {
+  const failing = async () => { throw httpError(502); };
+  const opts = { providerName: 'test-breaker' };
+  await assert.rejects(resilience.runModelChain(['flaky'], failing, opts));
+  assert.deepStrictEqual(resilience.breakerStates()['test-breaker:flaky'], { state: 'closed', failures: 1, openedAt: null });
+  await assert.rejects(resilience.runModelChain(['flaky'], failing, opts));
+  assert.strictEqual(resilience.breakerStates()['test-breaker:flaky'].state, 'open');
+
+  let called = false;
+  await assert.rejects(resilience.runModelChain(['flaky'], async () => { called = true; }, opts), (err) => {
+    assert.deepStrictEqual(err.attempts, [{ model: 'flaky', skipped: 'circuit open' }]);
+    return true;
+  });
+  assert.strictEqual(called, false);
+  // a caller with its own key is not held back by the shared circuit
+  const own = await resilience.runModelChain(['flaky'], async () => 'ok', Object.assign({ breaker: false }, opts));
+  assert.strictEqual(own.result, 'ok');
+});
+
+test('only configured models get a breaker', async () => {
+  const opts = { providerName: 'test-allowlist', breakerModels: ['configured'] };
+  await assert.rejects(resilience.runModelChain(['client-sent', 'configured'], async () => { throw httpError(500); }, opts));
+  const keys = Object.keys(resilience.breakerStates()).filter(k => k.startsWith('test-allowlist:'));
+  assert.deepStrictEqual(keys, ['test-allowlist:configured']);
+});
+
+test('runModelChain stops retrying once canRetry says output was sent', async () => {
+  let calls = 0;
+  await assert.rejects(resilience.runModelChain(['streamed', 'next'], async () => { calls++; throw httpError(503); }, {
+    providerName: 'test-stream',
+    canRetry: () => false
+  }));
+  assert.strictEqual(calls, 1);
+});
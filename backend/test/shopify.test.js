@@ -0,0 +1,31 @@
+// shopify.test.js - webhook signature verification
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const shopify = require('../shopify');
+
+const SECRET = 'test-secret';
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+test.beforeEach(() => { process.env.SHOPIFY_API_SECRET = SECRET; });
+
+test('verifyWebhookHmac accepts the signature of the exact raw body', () => {
+  const body = Buffer.from('{"id":1,"title":"Größe M"}');
+  assert.strictEqual(shopify.verifyWebhookHmac(body, sign(body)), true);
+});
+
+test('verifyWebhookHmac rejects a changed body, another secret or a malformed header', () => {
+  const body = Buffer.from('{"id":1}');
+  assert.strictEqual(shopify.verifyWebhookHmac(Buffer.from('{"id": 1}'), sign(body)), false);
+  assert.strictEqual(shopify.verifyWebhookHmac(body, sign(body, 'other-secret')), false);
+  assert.strictEqual(shopify.verifyWebhookHmac(body, 'short'), false);
+  assert.strictEqual(shopify.verifyWebhookHmac(body, undefined), false);
+});
+
+test('verifyWebhookHmac needs a Buffer body and a configured secret', () => {
+  const body = Buffer.from('{"id":1}');
+  assert.strictEqual(shopify.verifyWebhookHmac(body.toString(), sign(body)), false);
+  delete process.env.SHOPIFY_API_SECRET;
+  assert.strictEqual(shopify.verifyWebhookHmac(body, sign(body, '')), false);
+});
@@ -0,0 +1,50 @@
+// sse.test.js - reading upstream event streams
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const sse = require('../sse');
+
+async function collect(chunks) {
+  const out = [];
+  await sse.readEventStream(Readable.from(chunks), data => out.push(data));
+  return out;
+}
+
+test('readEventStream parses data lines and skips comments, [DONE] and non-JSON payloads', async () => {
+  const out = await collect([
+    ': keep-alive\n',
+    'data: {"n":1}\r\n\r\n',
+    'event: ping\ndata: not json\n',
+    'data: {"n":2}\n',
+    'data: [DONE]\n'
+  ]);
+  assert.deepStrictEqual(out, [{ n: 1 }, { n: 2 }]);
+});
+
+test('readEventStream joins lines and multi-byte characters split across chunks', async () => {
+  const bytes = Buffer.from('data: {"text":"Größe"}\n');
+  const cut = bytes.indexOf(0xc3) + 1; // inside the two-byte "ö"
+  const out = await collect([bytes.subarray(0, 8), bytes.subarray(8, cut), bytes.subarray(cut)]);
+  assert.deepStrictEqual(out, [{ text: 'Größe' }]);
+});
+
+test('readEventStream handles a last line without a newline', async () => {
+  assert.deepStrictEqual(await collect(['data: {"n":1}\ndata: {"n":2}']), [{ n: 1 }, { n: 2 }]);
+});
+
+test('readEventStream rejects on an upstream error payload', async () => {
+  const out = [];
+  const stream = Readable.from(['data: {"n":1}\ndata: {"error":{"message":"overloaded","code":502}}\ndata: {"n":2}\n']);
+  await assert.rejects(sse.readEventStream(stream, data => out.push(data)), (err) => {
+    assert.match(err.message, /overloaded/);
+    assert.strictEqual(err.response.status, 502);
+    return true;
+  });
+  assert.deepStrictEqual(out, [{ n: 1 }]);
+});
+
+test('readEventStream rejects when onData throws', async () => {
+  const stream = Readable.from(['data: {"n":1}\n']);
+  await assert.rejects(sse.readEventStream(stream, () => { throw new Error('client gone'); }), /client gone/);
+});
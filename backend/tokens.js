@@ -68,4 +68,13 @@ function getToken(shop) {
   return store[shop] || null;
 }
 
-module.exports = { saveToken, getToken };
+// Forget a shop's token (app uninstalled); returns whether one was stored
+function deleteToken(shop) {
+  console.log('tokens: deleting token for', shop);
+  const store = decrypt();
+  if (!store[shop]) return false;
+  delete store[shop];
+  return encrypt(store);
+}
+
+module.exports = { saveToken, getToken, deleteToken };
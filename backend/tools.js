@@ -0,0 +1,231 @@
+// tools.js - catalog lookup tools the model can call from /api/ask
+
+const indexer = require('./indexer');
+
+/**
+ * OpenAI-style function tools over the catalog stored by catalog.js
+ * (data.catalog). The model asks for searchProducts / getProduct /
+ * getCollection, we run them against storage and feed the JSON back until
+ * it answers. Products the answer refers to are returned as cards for the
+ * widget.
+ */
+
+const definitions = [
+  {
+    type: 'function',
+    function: {
+      name: 'searchProducts',
+      description: 'Search the store catalog. Returns matching products with price range and availability.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Free-text search, e.g. "organic cotton hoodie"' },
+          filters: {
+            type: 'object',
+            properties: {
+              productType: { type: 'string' },
+              vendor: { type: 'string' },
+              collection: { type: 'string', description: 'Collection handle' },
+              tag: { type: 'string' },
+              minPrice: { type: 'number' },
+              maxPrice: { type: 'number' },
+              inStock: { type: 'boolean', description: 'Only products with an available variant' }
+            }
+          },
+          limit: { type: 'integer', description: 'Max results (default 5, max 10)' }
+        },
+        required: ['query']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'getProduct',
+      description: 'Full details of one product: variants with price and stock, options, collections, metafields.',
+      parameters: {
+        type: 'object',
+        properties: { handle: { type: 'string', description: 'Product handle, e.g. "organic-hoodie"' } },
+        required: ['handle']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'getCollection',
+      description: 'A collection and the products in it.',
+      parameters: {
+        type: 'object',
+        properties: { handle: { type: 'string', description: 'Collection handle, e.g. "mens"' } },
+        required: ['handle']
+      }
+    }
+  }
+];
+
+function enabled(data) {
+  return process.env.ASK_TOOLS !== 'false' && !!(data && data.catalog && data.catalog.products && data.catalog.products.length);
+}
+
+// accept "hoodie", "/products/hoodie" or a full product URL
+function cleanHandle(h) {
+  return String(h || '').trim().replace(/[?#].*$/, '').replace(/\/$/, '').split('/').pop().toLowerCase();
+}
+
+// numeric id from a GraphQL gid, as /cart/add.js expects
+function numericId(gid) {
+  const m = String(gid || '').match(/(\d+)$/);
+  return m ? Number(m[1]) : null;
+}
+
+function summary(p) {
+  return {
+    handle: p.handle,
+    title: p.title,
+    productType: p.productType,
+    vendor: p.vendor,
+    price: p.minPrice === p.maxPrice ? `${p.minPrice} ${p.currency || ''}`.trim() : `${p.minPrice}-${p.maxPrice} ${p.currency || ''}`.trim(),
+    available: p.variants.some(v => v.available)
+  };
+}
+
+function details(p) {
+  return Object.assign(summary(p), {
+    description: (p.description || '').slice(0, 1000),
+    options: p.options,
+    collections: p.collections,
+    tags: p.tags,
+    metafields: p.metafields.filter(m => String(m.value).length <= 300).map(m => ({ key: m.key, value: m.value })),
+    variants: p.variants.map(v => ({
+      title: v.title,
+      price: v.price,
+      compareAtPrice: v.compareAtPrice,
+      available: v.available,
+      inventoryQuantity: v.inventoryQuantity,
+      options: v.options
+    }))
+  });
+}
+
+function searchProducts(catalog, args, lang) {
+  const f = args.filters || {};
+  const limit = Math.min(Math.max(parseInt(args.limit || '5', 10) || 5, 1), 10);
+  const terms = new Set(indexer.tokenize(args.query || '', lang));
+  const eq = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+  const scored = [];
+  for (const p of catalog.products) {
+    if (f.productType && !eq(p.productType, f.productType)) continue;
+    if (f.vendor && !eq(p.vendor, f.vendor)) continue;
+    if (f.collection && !p.collections.includes(cleanHandle(f.collection))) continue;
+    if (f.tag && !p.tags.some(t => eq(t, f.tag))) continue;
+    if (typeof f.minPrice === 'number' && Number(p.maxPrice) < f.minPrice) continue;
+    if (typeof f.maxPrice === 'number' && Number(p.minPrice) > f.maxPrice) continue;
+    if (f.inStock && !p.variants.some(v => v.available)) continue;
+    // title matches count double; everything else once
+    let score = 0;
+    for (const t of indexer.tokenize(p.title, lang)) if (terms.has(t)) score += 2;
+    const rest = [p.productType, p.vendor, p.tags.join(' '), p.collections.join(' '), p.description].join(' ');
+    for (const t of new Set(indexer.tokenize(rest, lang))) if (terms.has(t)) score += 1;
+    if (score > 0 || !terms.size) scored.push({ p, score });
+  }
+  scored.sort((a, b) => b.score - a.score);
+  const products = scored.slice(0, limit).map(s => s.p);
+  return { result: { count: scored.length, products: products.map(summary) }, products };
+}
+
+function getProduct(catalog, args) {
+  const handle = cleanHandle(args.handle);
+  const p = catalog.products.find(x => x.handle === handle);
+  if (!p) return { result: { error: `No product with handle ${handle}` }, products: [] };
+  return { result: details(p), products: [p] };
+}
+
+function getCollection(catalog, args) {
+  const handle = cleanHandle(args.handle);
+  const c = (catalog.collections || []).find(x => x.handle === handle);
+  if (!c) return { result: { error: `No collection with handle ${handle}` }, products: [] };
+  const products = catalog.products.filter(p => p.collections.includes(handle));
+  return {
+    result: { handle: c.handle, title: c.title, description: (c.description || '').slice(0, 500), productCount: products.length, products: products.slice(0, 20).map(summary) },
+    products: products.slice(0, 20)
+  };
+}
+
+const handlers = { searchProducts, getProduct, getCollection };
+
+/**
+ * Run one tool call ({ function: { name, arguments } }) against the catalog.
+ * Returns { result, products } where result is what the model sees and
+ * products are the catalog entries it was shown. Bad calls come back as an
+ * { error } result so the model can correct itself.
+ */
+function execute(catalog, call, lang) {
+  const name = call && call.function && call.function.name;
+  const handler = handlers[name];
+  if (!handler) return { result: { error: `Unknown tool ${name}` }, products: [] };
+  let args = {};
+  try { args = JSON.parse(call.function.arguments || '{}'); } catch (e) {
+    return { result: { error: 'Arguments must be JSON' }, products: [] };
+  }
+  console.log('tools: call', name, args);
+  return handler(catalog, args, lang);
+}
+
+// Card for the widget; variant ids are numeric so they can go straight to /cart/add.js
+function productCard(p, shop) {
+  const first = p.variants.find(v => v.available) || p.variants[0] || {};
+  return {
+    handle: p.handle,
+    title: p.title,
+    url: p.url || (shop ? `https://${shop}/products/${p.handle}` : `/products/${p.handle}`),
+    image: p.image,
+    price: first.price || p.minPrice,
+    compareAtPrice: first.compareAtPrice || null,
+    currency: p.currency,
+    available: p.variants.some(v => v.available),
+    variants: p.variants.map(v => ({ id: numericId(v.id), title: v.title, price: v.price, available: v.available }))
+  };
+}
+
+/**
+ * Drive a tool-calling conversation: callModel(req) -> { text, toolCalls, ... }
+ * is invoked with the tools attached, tool results are appended as `tool`
+ * messages, and the loop ends when the model answers without calling tools
+ * (the last round is sent without tools so it has to). Resolves to the final
+ * model result with `text` spanning all rounds and `cards` for the products
+ * the answer mentions (or the ones looked up directly when it names none).
+ */
+async function runToolLoop(callModel, llmReq, ctx) {
+  const maxRounds = parseInt(process.env.ASK_MAX_TOOL_ROUNDS || '3', 10);
+  const seen = new Map(); // handle -> { product, direct }
+  let messages = llmReq.messages;
+  let text = '';
+  let result = null;
+  for (let round = 0; round <= maxRounds; round++) {
+    const withTools = round < maxRounds ? { tools: definitions } : {};
+    result = await callModel(Object.assign({}, llmReq, { messages }, withTools));
+    text += result.text || '';
+    if (!result.toolCalls || !result.toolCalls.length) break;
+    const toolMessages = result.toolCalls.map(call => {
+      const out = execute(ctx.catalog, call, ctx.lang);
+      const direct = call.function && call.function.name === 'getProduct';
+      for (const p of out.products) {
+        const prev = seen.get(p.handle);
+        seen.set(p.handle, { product: p, direct: direct || (prev && prev.direct) });
+      }
+      return { role: 'tool', tool_call_id: call.id, content: JSON.stringify(out.result) };
+    });
+    messages = messages.concat([{ role: 'assistant', content: result.text || null, tool_calls: result.toolCalls }], toolMessages);
+  }
+
+  const maxCards = parseInt(process.env.ASK_MAX_PRODUCT_CARDS || '4', 10);
+  const lower = text.toLowerCase();
+  const all = [...seen.values()];
+  let referenced = all.filter(s => lower.includes(s.product.title.toLowerCase()));
+  if (!referenced.length) referenced = all.filter(s => s.direct);
+  const cards = referenced.slice(0, maxCards).map(s => productCard(s.product, ctx.shop));
+  return Object.assign({}, result, { text, cards });
+}
+
+module.exports = { definitions, enabled, execute, productCard, runToolLoop };
@@ -0,0 +1,122 @@
+// webhooks.js - Shopify webhook subscriptions, delivery dedupe and catalog patches
+
+const shopify = require('./shopify');
+const { createLru } = require('./lruCache');
+
+/**
+ * After OAuth the app subscribes to TOPICS with the Admin GraphQL API so
+ * product and collection edits reach the index without waiting for the
+ * scheduled recrawl, and an uninstall purges the shop. Deliveries are
+ * verified in index.js (/api/webhooks), deduplicated by X-Shopify-Webhook-Id
+ * (Shopify retries deliveries it did not see acknowledged) and handled one at
+ * a time per shop, since each one rewrites the shop's stored catalog. A
+ * delivery id counts as handled only once its handler succeeded, so a
+ * retried delivery of a failed one runs again; handlers re-fetch the current
+ * state, so running one twice is harmless.
+ */
+
+const TOPICS = ['products/create', 'products/update', 'products/delete', 'collections/update', 'app/uninstalled'];
+
+const SUBSCRIBE_MUTATION = `mutation Subscribe($topic: WebhookSubscriptionTopic!, $sub: WebhookSubscriptionInput!) {
+  webhookSubscriptionCreate(topic: $topic, webhookSubscription: $sub) {
+    webhookSubscription { id }
+    userErrors { field message }
+  }
+}`;
+
+const seen = createLru({ maxEntries: 1000 });
+const queues = new Map(); // shop -> promise of its last queued delivery
+
+// "products/update" -> "PRODUCTS_UPDATE" (GraphQL WebhookSubscriptionTopic)
+function topicEnum(topic) {
+  return topic.toUpperCase().replace(/\//g, '_');
+}
+
+/**
+ * Subscribe `shop` to every topic in TOPICS, delivering to `callbackUrl`.
+ * A topic already subscribed to that URL counts as registered.
+ * Returns { registered: [topic], failed: [{ topic, error }] }.
+ */
+async function register(shop, accessToken, callbackUrl) {
+  const out = { registered: [], failed: [] };
+  for (const topic of TOPICS) {
+    try {
+      const data = await shopify.adminGraphql(shop, accessToken, SUBSCRIBE_MUTATION, {
+        topic: topicEnum(topic),
+        sub: { callbackUrl, format: 'JSON' }
+      });
+      const errors = (data.webhookSubscriptionCreate.userErrors || []).filter(e => !/already been taken/i.test(e.message));
+      if (errors.length) out.failed.push({ topic, error: errors.map(e => e.message).join('; ') });
+      else out.registered.push(topic);
+    } catch (e) {
+      out.failed.push({ topic, error: e.message || String(e) });
+    }
+  }
+  console.log('webhooks: registered for', shop, out.registered.length, 'topics, failed', out.failed.length);
+  return out;
+}
+
+// True when the delivery with this id was already handled successfully
+function isDuplicate(id) {
+  return !!id && !!seen.peek(id);
+}
+
+function markDelivered(id) {
+  if (id) seen.set(id, true, 0);
+}
+
+// Run fn after every delivery already queued for the shop has been handled
+function serialize(shop, fn) {
+  const next = (queues.get(shop) || Promise.resolve()).then(() => fn());
+  const tail = next.catch(() => {});
+  queues.set(shop, tail);
+  tail.then(() => { if (queues.get(shop) === tail) queues.delete(shop); });
+  return next;
+}
+
+// Webhook payloads carry REST ids; the catalog stores GraphQL ids
+function productGid(payload) {
+  return payload.admin_graphql_api_id || `gid://shopify/Product/${payload.id}`;
+}
+
+function collectionGid(payload) {
+  return payload.admin_graphql_api_id || `gid://shopify/Collection/${payload.id}`;
+}
+
+/**
+ * Catalog with product `id` replaced by `product`, appended when new, or
+ * removed when `product` is null. The input catalog is not modified.
+ */
+function withProduct(catalog, id, product) {
+  const products = (catalog.products || []).filter(p => p.id !== id);
+  if (product) {
+    const at = (catalog.products || []).findIndex(p => p.id === id);
+    products.splice(at >= 0 ? at : products.length, 0, product);
+  }
+  return Object.assign({}, catalog, { products, syncedAt: Date.now() });
+}
+
+/**
+ * Catalog with a collection's record and membership updated from
+ * catalog.fetchCollection's { collection, productHandles } (membership only
+ * covers products the catalog holds).
+ */
+function withCollection(catalog, fetched) {
+  const { collection, productHandles } = fetched;
+  const members = new Set(productHandles);
+  const collections = (catalog.collections || []).filter(c => c.id !== collection.id);
+  const at = (catalog.collections || []).findIndex(c => c.id === collection.id);
+  collections.splice(at >= 0 ? at : collections.length, 0, collection);
+  // a renamed handle is dropped from products along with departed members
+  const prev = (catalog.collections || []).find(c => c.id === collection.id);
+  const stale = new Set([collection.handle, prev ? prev.handle : collection.handle]);
+  const products = (catalog.products || []).map(p => {
+    let cols = p.collections.filter(h => !stale.has(h));
+    if (members.has(p.handle)) cols = cols.concat(collection.handle);
+    if (cols.length === p.collections.length && cols.every((h, i) => h === p.collections[i])) return p;
+    return Object.assign({}, p, { collections: cols });
+  });
+  return Object.assign({}, catalog, { products, collections, syncedAt: Date.now() });
+}
+
+module.exports = { TOPICS, register, isDuplicate, markDelivered, serialize, productGid, collectionGid, withProduct, withCollection };